@@ -14,10 +14,32 @@ export default [
         document: 'readonly',
         window: 'readonly',
         MutationObserver: 'readonly',
+        ResizeObserver: 'readonly',
         fetch: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        btoa: 'readonly',
+        atob: 'readonly',
+        navigator: 'readonly',
+        Blob: 'readonly',
+        URL: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
         Node: 'readonly',
+        BTGradientCore: 'readonly',
+        BTRouteCache: 'readonly',
+        AbortController: 'readonly',
+        URLSearchParams: 'readonly',
+        Worker: 'readonly',
+        WorkerGlobalScope: 'readonly',
+        self: 'readonly',
+        BTProfileTasks: 'readonly',
+        BTExt: 'readonly',
+        BTPaletteSelect: 'readonly',
+        importScripts: 'readonly',
+        structuredClone: 'readonly',
       },
     },
     rules: {
@@ -26,6 +48,15 @@ export default [
       'prettier/prettier': 'error',
     },
   },
+  {
+    files: ['tools/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      sourceType: 'module',
+      globals: {
+        process: 'readonly',
+      },
+    },
+  },
   {
     ignores: ['node_modules/**', 'eslint.config.js'],
   },
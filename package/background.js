@@ -0,0 +1,16 @@
+// Biketerra Gradient Colors - Background script
+// Relays browser keyboard shortcuts (the manifest's commands) to the content
+// script in the active tab, which runs them like its in-page key bindings.
+
+// Chrome runs this as a service worker, which loads the API layer itself;
+// Firefox loads it first from the manifest
+if (typeof BTExt === 'undefined') {
+  importScripts('ext-api.js');
+}
+
+BTExt.commands.onCommand(async function (command) {
+  const [tab] = await BTExt.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  // Tabs other than Biketerra pages have no content script to answer
+  BTExt.tabs.sendMessage(tab.id, { type: 'command', command }).catch(() => {});
+});
@@ -6,7 +6,43 @@
 
   console.log('[Gradient Colors] Content script loaded');
 
-  // Find route ID from DOM (appears as "(#nnnn)" in route menu)
+  const {
+    DEFAULT_SETTINGS,
+    OBSOLETE_SETTINGS,
+    needsMigration,
+    migrateSettings,
+    keyComboFromEvent,
+    commandForKeyCombo,
+    paletteKeys,
+    paletteSettingsUpdate,
+    findPalette,
+    interpolateElevation,
+    interpolatePosition,
+    createGradientSampler,
+    smoothingOptions,
+    maxGradientInRange,
+    averageGradient,
+    profileGradientStops,
+    ridePoints,
+    packRoutePoints,
+    unpackRoutePoints,
+    gridSampler,
+    detectClimbs,
+    summarizeRoute,
+    autoScaleColorStops,
+    routeBandOverride,
+    routeBandMode,
+    riderPower,
+    createTimePredictor,
+    ROUTE_EXPORT_FORMATS,
+    routeExportRows,
+    formatRouteExport,
+    readableTextStyle,
+    hexToRgb,
+  } = BTGradientCore;
+
+  // Find route ID from DOM (appears as "(#nnnn)" in route menu), falling back
+  // to the ?route= URL parameter of ride pages
   function findRouteId() {
     const routeIdElem = document.querySelector('.route-id');
     if (routeIdElem) {
@@ -15,178 +51,335 @@
         return match[1];
       }
     }
+    const param = new URLSearchParams(window.location.search).get('route');
+    if (param && /^\d+$/.test(param)) {
+      return param;
+    }
     return null;
   }
 
-  // Fetch route data from Biketerra API
-  async function fetchRouteData(routeId) {
-    try {
-      const url = `https://biketerra.com/ride/__data.json?route=${routeId}`;
-      console.log('[Gradient Colors] Fetching route data from:', url);
+  // Route name from the route menu: the text around "(#nnnn)", if any
+  function findRouteName() {
+    const text = document.querySelector('.route-id')?.parentElement?.textContent;
+    const name = text?.replace(/\(?#\d+\)?/, '').trim();
+    return name || null;
+  }
 
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+  // Route parsing, profile alignment and gradient sampling (profile-tasks.js)
+  // run in a Web Worker so the ride UI never stutters. Extension scripts cannot
+  // start a worker on the page from their own URL, so it is built from a blob
+  // of gradient-core.js and profile-tasks.js; where the page does not allow
+  // that, the tasks run here instead.
+  let profileWorker = null; // Promise of the worker, or of null if unavailable
+  let nextTaskId = 1;
+  const pendingTasks = new Map();
+
+  function getProfileWorker() {
+    if (!profileWorker) {
+      profileWorker = createProfileWorker().catch(e => {
+        console.log('[Gradient Colors] Worker unavailable, processing on the page:', e.message);
+        return null;
+      });
+    }
+    return profileWorker;
+  }
+
+  async function createProfileWorker() {
+    const sources = await Promise.all(
+      ['gradient-core.js', 'profile-tasks.js'].map(async file => {
+        const response = await fetch(BTExt.runtime.getURL(file));
+        return response.text();
+      })
+    );
+    const url = URL.createObjectURL(new Blob(sources, { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    worker.onmessage = function (e) {
+      const { id, result, error } = e.data;
+      const task = pendingTasks.get(id);
+      if (!task) return;
+      pendingTasks.delete(id);
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+    };
+    // Blocked or broken after all: drop it and redo its tasks here
+    worker.onerror = function (e) {
+      e.preventDefault();
+      console.log('[Gradient Colors] Worker failed, processing on the page:', e.message);
+      worker.terminate();
+      profileWorker = Promise.resolve(null);
+      for (const task of pendingTasks.values()) {
+        runTaskHere(task.type, task.payload).then(task.resolve, task.reject);
       }
+      pendingTasks.clear();
+    };
+    return worker;
+  }
 
-      const data = await response.json();
-      return extractRouteData(data);
-    } catch (e) {
-      console.error('[Gradient Colors] Error fetching route data:', e);
-      return null;
+  // Run a profile task in the worker (payloads are copied, so a task can
+  // always be redone here if the worker fails)
+  async function runTask(type, payload) {
+    const worker = await getProfileWorker();
+    if (!worker) return runTaskHere(type, payload);
+    return new Promise((resolve, reject) => {
+      const id = nextTaskId++;
+      pendingTasks.set(id, { type, payload, resolve, reject });
+      worker.postMessage({ id, type, payload });
+    });
+  }
+
+  async function runTaskHere(type, payload) {
+    return BTProfileTasks.run(type, payload).result;
+  }
+
+  // Route points packed for the worker, once per route data object
+  const packedRoutes = new WeakMap();
+
+  function packedRoute(routeData) {
+    if (!packedRoutes.has(routeData)) {
+      packedRoutes.set(routeData, packRoutePoints(routeData.routePoints));
     }
+    return packedRoutes.get(routeData);
   }
 
-  // Extract route elevation/distance data from the response
-  function extractRouteData(data) {
+  // Fetch route data from Biketerra API (null on failure or when aborted)
+  async function fetchRouteData(routeId, signal) {
     try {
-      // Find the node that contains route_processed (high-precision geometry)
-      const node = data.nodes.find(n => n?.data?.[0]?.route_processed != null);
-      if (!node) return null;
-      const d = node.data;
-      const refs = d[0];
-
-      // Prefer route_processed: [x, y, z] triples in cm where y=elevation,
-      // x=east offset, z=south offset from geoMetrics median. Distance is
-      // computed as cumulative horizontal displacement between consecutive nodes.
-      const rpSchema = d[refs.route_processed];
-      if (rpSchema) {
-        const totalDistance = d[rpSchema.distance]; // meters
-        const nodeRefs = d[rpSchema.nodes];
-
-        let cumDist = 0, prevX = null, prevZ = null;
-        const routePoints = [];
-        for (const nodeRef of nodeRefs) {
-          const n = d[nodeRef];
-          const x = d[n[0]], y = d[n[1]], z = d[n[2]];
-          if (prevX !== null) {
-            const dx = x - prevX, dz = z - prevZ;
-            cumDist += Math.sqrt(dx * dx + dz * dz);
-          }
-          routePoints.push({ distance: cumDist / 100, elevation: y / 100 });
-          prevX = x;
-          prevZ = z;
-        }
+      const url = `https://biketerra.com/ride/__data.json?route=${routeId}`;
+      console.log('[Gradient Colors] Fetching route data from:', url);
 
-        if (routePoints.length > 0) {
-          const elevations = routePoints.map(p => p.elevation);
-          console.log('[Gradient Colors] Extracted', routePoints.length, 'route points from route_processed');
-          return {
-            totalDistance,
-            minElev: Math.min(...elevations),
-            maxElev: Math.max(...elevations),
-            routePoints,
-          };
-        }
+      const response = await fetch(url, { signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
 
-      // Fall back to simple_route: JSON string of [lat, lng, elev, distance] quartets
-      const routeSchema = d[refs.route];
-      if (routeSchema) {
-        const totalDistance = d[routeSchema.distance] / 100;
-        const simpleRouteStr = d[routeSchema.simple_route];
-        if (typeof simpleRouteStr === 'string') {
-          const routePoints = JSON.parse(simpleRouteStr).map(p => ({
-            distance: p[3],
-            elevation: p[2],
-          }));
-          if (routePoints.length > 0) {
-            const elevations = routePoints.map(p => p.elevation);
-            console.log('[Gradient Colors] Extracted', routePoints.length, 'route points from simple_route');
-            return {
-              totalDistance,
-              minElev: Math.min(...elevations),
-              maxElev: Math.max(...elevations),
-              routePoints,
-            };
-          }
-        }
+      // Parsed in the worker; the points come back packed
+      const extracted = await runTask('extract', { buffer: await response.arrayBuffer() });
+      let routeData = null;
+      if (extracted) {
+        const { packed, ...rest } = extracted;
+        routeData = { ...rest, routePoints: unpackRoutePoints(packed) };
       }
-
-      console.warn('[Gradient Colors] No route point data found');
-      return null;
+      if (routeData) {
+        console.log(
+          '[Gradient Colors] Extracted',
+          routeData.routePoints.length,
+          'route points from',
+          routeData.source
+        );
+      } else {
+        console.warn('[Gradient Colors] No route point data found');
+      }
+      return routeData;
     } catch (e) {
-      console.error('[Gradient Colors] Error extracting route data:', e);
+      if (e.name === 'AbortError') {
+        console.log('[Gradient Colors] Route data fetch aborted for route', routeId);
+      } else {
+        console.error('[Gradient Colors] Error fetching route data:', e);
+      }
       return null;
     }
   }
 
-  // Initialize: find route ID and fetch data
-  let initializeInProgress = false;
+  // Route session: the route currently shown and its data. Switching routes in
+  // the app ends the session, which aborts its fetches (via the controller),
+  // removes its listeners and tears down observers and everything we drew.
+  let session = null;
 
-  async function initialize() {
+  // Start (or continue) the session for the route on the page
+  function initialize() {
     const routeId = findRouteId();
     if (!routeId) {
       return false;
     }
 
-    // Check if we already have data for this route
-    if (window._biketerraRouteId === routeId && window._biketerraRouteData) {
+    // Same route: just make sure the profile is colored
+    if (session && session.routeId === routeId) {
       processElevationSVG();
       return true;
     }
 
-    // Prevent concurrent fetches
-    if (initializeInProgress) {
-      return false;
+    if (session) {
+      console.log('[Gradient Colors] Route changed from', session.routeId, 'to', routeId);
+      endRouteSession();
     }
-    initializeInProgress = true;
-
     console.log('[Gradient Colors] Found route ID:', routeId);
 
-    const routeData = await fetchRouteData(routeId);
-    initializeInProgress = false;
+    session = { routeId, controller: new AbortController(), routeData: null };
+    setupPolylineObserver();
+    setupGradientCircleObserver();
+    loadRouteData(session);
+    return true;
+  }
+
+  // Abort in-flight work for the current route and undo everything we added
+  function endRouteSession() {
+    session.controller.abort();
+    session = null;
+
+    teardownPolylineObserver();
+    teardownGradientCircleObserver();
+    const svg = document.querySelector('svg.pathSVG');
+    if (svg) {
+      clearGradientColoring(svg);
+      hideProfileTooltip(svg);
+    }
+    clearRideProfile();
+  }
+
+  // Re-run initialization if the page now shows a different route
+  function checkRouteChange() {
+    watchRouteIdElement();
+    const routeId = findRouteId();
+    if (session && routeId && routeId !== session.routeId) {
+      initialize();
+    }
+  }
+
+  // The route menu's "(#nnnn)" text can change in place on in-app navigation
+  let routeIdObserver = null;
+  let observedRouteIdElem = null;
+
+  function watchRouteIdElement() {
+    const elem = document.querySelector('.route-id');
+    if (elem === observedRouteIdElem) return;
+
+    if (routeIdObserver) {
+      routeIdObserver.disconnect();
+    }
+    observedRouteIdElem = elem;
+    if (!elem) return;
+
+    routeIdObserver = new MutationObserver(checkRouteChange);
+    routeIdObserver.observe(elem, { characterData: true, childList: true, subtree: true });
+  }
+
+  // Load route data for a session: cached profiles color immediately and stale
+  // ones are refreshed afterwards. Results for an ended session are dropped.
+  async function loadRouteData(routeSession) {
+    const { routeId, controller } = routeSession;
+
+    const cached = await getCachedRouteData(routeId);
+    if (controller.signal.aborted) return;
+    if (cached && !cached.expired) {
+      console.log(
+        '[Gradient Colors] Using cached route data from',
+        new Date(cached.fetchedAt).toISOString()
+      );
+      applyRouteData(routeSession, cached.routeData);
+      if (cached.stale) {
+        refreshRouteData(routeSession);
+      }
+      return;
+    }
+
+    const routeData = await fetchRouteData(routeId, controller.signal);
+    if (controller.signal.aborted) return;
 
     if (routeData) {
-      console.log('[Gradient Colors] Got route data:', routeData);
-      window._biketerraRouteId = routeId;
-      window._biketerraRouteData = routeData;
-      processElevationSVG();
-      return true;
+      applyRouteData(routeSession, routeData);
+      cacheRouteData(routeId, routeData);
+      return;
     }
 
-    return false;
+    // Endpoint failing: an expired cache entry is better than nothing
+    if (cached) {
+      console.log('[Gradient Colors] Fetch failed, using expired cached route data');
+      applyRouteData(routeSession, cached.routeData);
+    }
+  }
+
+  // Make route data current and (re)color the profile with it
+  function applyRouteData(routeSession, routeData) {
+    console.log('[Gradient Colors] Got route data:', routeData);
+    routeSession.routeData = routeData;
+    const svg = document.querySelector('svg.pathSVG');
+    if (svg) {
+      clearGradientColoring(svg);
+    }
+    processElevationSVG();
+  }
+
+  // Refetch a stale cached route in the background; recolor only if it changed
+  async function refreshRouteData(routeSession) {
+    const { routeId, controller } = routeSession;
+    const routeData = await fetchRouteData(routeId, controller.signal);
+    if (!routeData || controller.signal.aborted) return;
+    cacheRouteData(routeId, routeData);
+
+    if (routeSignature(routeSession.routeData) === routeSignature(routeData)) return;
+    console.log('[Gradient Colors] Cached route data was outdated, recoloring');
+    applyRouteData(routeSession, routeData);
+  }
+
+  // Cheap fingerprint to tell whether refetched route data differs
+  function routeSignature(routeData) {
+    const { totalDistance, minElev, maxElev, routePoints } = routeData;
+    return [totalDistance, minElev, maxElev, routePoints.length]
+      .map(v => Math.round(v * 100))
+      .join(':');
+  }
+
+  // Route cache access never breaks coloring: failures are logged and ignored
+  async function getCachedRouteData(routeId) {
+    try {
+      return await BTRouteCache.get(routeId);
+    } catch (e) {
+      console.warn('[Gradient Colors] Route cache read failed:', e);
+      return null;
+    }
   }
 
-  // Default settings
-  const DEFAULT_SETTINGS = {
-    colorStops: ['#713071', '#0c4ae0', '#28eaed', '#24ca26', '#f1f060', '#d90916', '#430102'],
-    distance: 7,
-    toggleKey: 'g',
-  };
+  function cacheRouteData(routeId, routeData) {
+    BTRouteCache.put(routeId, routeData).catch(function (e) {
+      console.warn('[Gradient Colors] Route cache write failed:', e);
+    });
+  }
 
   // Current settings (loaded from storage)
   let settings = { ...DEFAULT_SETTINGS };
 
   // Load settings from storage
-  function loadSettings() {
-    return new Promise(resolve => {
-      chrome.storage.sync.get(DEFAULT_SETTINGS, function (stored) {
-        settings = stored;
-        console.log('[Gradient Colors] Loaded settings:', settings);
-        resolve(settings);
-      });
-    });
+  async function loadSettings() {
+    let stored;
+    try {
+      stored = await BTExt.storage.sync.get();
+    } catch (e) {
+      // Sync storage can be unavailable (e.g. disabled in Firefox); run on defaults
+      console.warn('[Gradient Colors] Could not load settings, using defaults:', e);
+      settings = migrateSettings({});
+      return settings;
+    }
+    settings = migrateSettings(stored);
+    // Persist migrated settings so older layouts are only converted once
+    if (needsMigration(stored)) {
+      console.log('[Gradient Colors] Migrating stored settings to v' + settings.schemaVersion);
+      BTExt.storage.sync.remove(OBSOLETE_SETTINGS).catch(() => {});
+      BTExt.storage.sync.set(settings).catch(() => {});
+    }
+    console.log('[Gradient Colors] Loaded settings:', settings);
+    return settings;
   }
 
   // Listen for settings changes
-  chrome.storage.onChanged.addListener(function (changes, area) {
+  BTExt.storage.onChanged(function (changes, area) {
     if (area === 'sync') {
-      if (changes.colorStops) {
-        settings.colorStops = changes.colorStops.newValue;
-      }
-      if (changes.distance) {
-        settings.distance = changes.distance.newValue;
-      }
-      if (changes.toggleKey) {
-        settings.toggleKey = changes.toggleKey.newValue;
+      const updated = { ...settings };
+      for (const key of Object.keys(changes)) {
+        if (changes[key].newValue === undefined) {
+          delete updated[key];
+        } else {
+          updated[key] = changes[key].newValue;
+        }
       }
+      settings = migrateSettings(updated);
       console.log('[Gradient Colors] Settings updated:', settings);
       // Reprocess SVG with new colors
       const svg = document.querySelector('svg.pathSVG');
       if (svg) {
-        svg.dataset.gradientColored = 'false';
-        svg.querySelectorAll('polygon').forEach(p => p.remove());
+        clearGradientColoring(svg);
         processElevationSVG();
       }
       // Update grade circle
@@ -195,52 +388,18 @@
   });
 
   function gradientToColor(gradient) {
-    const normalized = Math.max(-3, Math.min(3, gradient / settings.distance));
-    const band = Math.max(-3, Math.min(2, Math.floor(normalized)));
-    const t = normalized - band;
-    return lerpColor(settings.colorStops[band + 3], settings.colorStops[band + 4], t);
-  }
-
-  // Interpolate elevation at a given distance using route points
-  function interpolateElevation(routePoints, distance) {
-    if (routePoints.length === 0) return 0;
-    if (distance <= routePoints[0].distance) return routePoints[0].elevation;
-    if (distance >= routePoints[routePoints.length - 1].distance) {
-      return routePoints[routePoints.length - 1].elevation;
-    }
-
-    // Binary search for the right segment
-    let lo = 0,
-      hi = routePoints.length - 1;
-    while (lo < hi - 1) {
-      const mid = Math.floor((lo + hi) / 2);
-      if (routePoints[mid].distance <= distance) {
-        lo = mid;
-      } else {
-        hi = mid;
-      }
-    }
-
-    const p1 = routePoints[lo];
-    const p2 = routePoints[hi];
-    const t = (distance - p1.distance) / (p2.distance - p1.distance);
-    return p1.elevation + t * (p2.elevation - p1.elevation);
+    return BTGradientCore.gradientToColor(gradient, colorSettings());
   }
 
-  // Compute gradient (%) at a given distance using route points
-  // Uses a small window around the point to get a smoothed gradient
-  function computeGradientAtDistance(routePoints, distance, totalDistance, windowSize = 50) {
-    // Use a window of +/- windowSize meters (or available range)
-    const d1 = Math.max(0, distance - windowSize);
-    const d2 = Math.min(totalDistance, distance + windowSize);
-
-    const e1 = interpolateElevation(routePoints, d1);
-    const e2 = interpolateElevation(routePoints, d2);
-
-    const deltaD = d2 - d1;
-    if (deltaD <= 0) return 0;
+  // Settings the colors come from: the ride profile's (stops rescaled to the
+  // route in auto band mode) unless settings changed since it was built
+  function colorSettings() {
+    return rideProfile?.settings === settings ? rideProfile.colorSettings : settings;
+  }
 
-    return ((e2 - e1) / deltaD) * 100;
+  // Auto band scale ({ up, down }) the colors use, or null for fixed bands
+  function routeBandScale() {
+    return rideProfile?.settings === settings ? rideProfile.bandScale : null;
   }
 
   // Get SVG Y value at a given X position using linear interpolation
@@ -262,115 +421,17 @@
     return svgPoints[svgPoints.length - 1].y;
   }
 
-  // Compute sum of squared errors between two arrays
-  function sumSquaredError(arr1, arr2) {
-    let sum = 0;
-    for (let i = 0; i < arr1.length; i++) {
-      const diff = arr1[i] - arr2[i];
-      sum += diff * diff;
-    }
-    return sum;
-  }
-
-  // Normalize array to 0-1 range for comparison
-  function normalizeArray(arr) {
-    const min = Math.min(...arr);
-    const max = Math.max(...arr);
-    const range = max - min || 1;
-    return arr.map(v => (v - min) / range);
-  }
-
-  // Find positions where forward and reverse elevations differ most
-  // Returns array of {x, diff} sorted by difference (largest first)
-  function findAsymmetricPositions(routePoints, totalDistance, numCandidates = 100) {
-    const candidates = [];
-    for (let i = 1; i < numCandidates; i++) {
-      const x = i / numCandidates;
-      const fwdElev = interpolateElevation(routePoints, x * totalDistance);
-      const revElev = interpolateElevation(routePoints, (1 - x) * totalDistance);
-      candidates.push({ x, diff: Math.abs(fwdElev - revElev) });
-    }
-    return candidates.sort((a, b) => b.diff - a.diff);
-  }
-
-  // Detect whether SVG matches forward or reversed route
-  // Samples at positions where forward/reverse elevations differ most
-  function detectRouteDirection(svgPoints, routePoints, totalDistance) {
-    // Find positions where forward and reverse routes differ most
-    const asymmetricPositions = findAsymmetricPositions(routePoints, totalDistance);
+  // Bumped whenever the coloring is cleared, so a pass still waiting on the
+  // worker knows its result is out of date
+  let coloringGeneration = 0;
 
-    // If route is nearly symmetrical (max difference < 1m), direction doesn't matter
-    if (asymmetricPositions[0].diff < 1) {
-      console.log(
-        '[Gradient Colors] Direction detection: forward (route is symmetrical, max diff:',
-        asymmetricPositions[0].diff.toFixed(2) + 'm)'
-      );
-      return 'forward';
-    }
-
-    // Take top 5 most asymmetric positions as sample points
-    const sampleXs = asymmetricPositions.slice(0, 5).map(p => p.x);
-
-    // Get SVG Y values at sample points (negate because lower Y = higher elevation)
-    const svgElevs = sampleXs.map(x => -getSvgYAtX(svgPoints, x));
-
-    // Get forward route elevations at same normalized positions
-    const fwdElevs = sampleXs.map(x => interpolateElevation(routePoints, x * totalDistance));
-
-    // Get reverse route elevations (x=0 maps to end of route)
-    const revElevs = sampleXs.map(x => interpolateElevation(routePoints, (1 - x) * totalDistance));
-
-    // Normalize all arrays for comparison (removes scale differences)
-    const svgNorm = normalizeArray(svgElevs);
-    const fwdNorm = normalizeArray(fwdElevs);
-    const revNorm = normalizeArray(revElevs);
-
-    // Compute errors
-    const fwdError = sumSquaredError(svgNorm, fwdNorm);
-    const revError = sumSquaredError(svgNorm, revNorm);
-
-    const direction = fwdError <= revError ? 'forward' : 'reverse';
-    console.log(
-      '[Gradient Colors] Direction detection:',
-      direction,
-      '(fwdErr:',
-      fwdError.toFixed(4),
-      'revErr:',
-      revError.toFixed(4),
-      'maxAsymmetry:',
-      asymmetricPositions[0].diff.toFixed(1) + 'm)'
-    );
-    return direction;
-  }
-
-  // Linear interpolation between two hex colors
-  function lerpColor(color1, color2, t) {
-    const r1 = parseInt(color1.slice(1, 3), 16);
-    const g1 = parseInt(color1.slice(3, 5), 16);
-    const b1 = parseInt(color1.slice(5, 7), 16);
+  // Process the elevation SVG and recolor it. The route work runs in the
+  // worker, so this finishes asynchronously; passes overtaken by a clear are
+  // dropped.
+  async function processElevationSVG() {
+    if (!recoloringEnabled) return;
 
-    const r2 = parseInt(color2.slice(1, 3), 16);
-    const g2 = parseInt(color2.slice(3, 5), 16);
-    const b2 = parseInt(color2.slice(5, 7), 16);
-
-    const r = Math.round(r1 + (r2 - r1) * t);
-    const g = Math.round(g1 + (g2 - g1) * t);
-    const b = Math.round(b1 + (b2 - b1) * t);
-
-    return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
-  }
-
-  // Convert hex color (#rrggbb) to rgb() string for comparison with computed styles
-  function hexToRgb(hex) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
-    return 'rgb(' + r + ', ' + g + ', ' + b + ')';
-  }
-
-  // Process the elevation SVG and recolor it
-  function processElevationSVG() {
-    const routeData = window._biketerraRouteData;
+    const routeData = session?.routeData;
     if (!routeData) {
       console.log('[Gradient Colors] No route data available yet');
       return;
@@ -382,8 +443,8 @@
       return;
     }
 
-    // Check if already processed
-    if (svg.dataset.gradientColored === 'true') {
+    // Check if already processed (or being processed)
+    if (svg.dataset.gradientColored === 'true' || svg.dataset.gradientColored === 'pending') {
       return;
     }
 
@@ -417,110 +478,1191 @@
     const elevRange = maxElev - minElev || 1;
 
     // Calculate the actual Y span of the polyline (it doesn't span 0-1)
-    const yMin = Math.min(...points.map(p => p.y));
-    const yMax = Math.max(...points.map(p => p.y));
+    let yMin = Infinity,
+      yMax = -Infinity;
+    for (const p of points) {
+      yMin = Math.min(yMin, p.y);
+      yMax = Math.max(yMax, p.y);
+    }
     const ySpan = yMax - yMin || 1;
 
     console.log('[Gradient Colors] Y span:', ySpan, 'elevRange:', elevRange);
 
-    // Remove any existing polygons we created
-    svg.querySelectorAll('polygon').forEach(p => p.remove());
+    // Fill under the actual polyline points
+    // Filter out y=1 points which are segment boundaries, not elevation data
+    const elevationPoints = points.filter(p => p.y < 1);
+
+    // Check if we have full route data for accurate gradient calculation
+    const { routePoints } = routeData;
+    const useRouteData = routePoints && routePoints.length > 1;
+
+    if (useRouteData) {
+      svg.dataset.gradientColored = 'pending';
+      const generation = coloringGeneration;
+      try {
+        // Direction, laps and which stretch of the ride the panel shows
+        const view = await alignProfile(elevationPoints, routeData);
+        if (generation !== coloringGeneration) return;
+        const direction = view.isReversed ? 'reverse' : 'forward';
+        console.log(
+          '[Gradient Colors] Using route data for accurate gradients (' + direction + ')'
+        );
+        if (view.laps > 1) {
+          console.log('[Gradient Colors] Lap race:', Number(view.laps.toFixed(2)), 'laps');
+        }
+        if (view.span < totalDistance * view.laps) {
+          console.log(
+            '[Gradient Colors] Local zoom: profile shows',
+            formatKm(view.start),
+            'to',
+            formatKm(view.start + view.span)
+          );
+        }
+        await updateRideProfile(routeData, view);
+      } catch (e) {
+        console.error('[Gradient Colors] Error processing route data:', e);
+        if (generation === coloringGeneration) svg.dataset.gradientColored = 'false';
+        return;
+      }
+      // Cleared (new polylines, settings or route) while the worker was busy
+      if (generation !== coloringGeneration || !strokePolyline.isConnected) return;
+    }
+
+    // Remove any existing fill and markers we created
+    removeProfileFill(svg);
+    removeClimbMarkers(svg);
+    removeLapMarkers(svg);
 
     // Hide ALL filled polylines (including Biketerra's colored gradients)
-    // Our gradient polygons will replace them
+    // Our gradient fill will replace them
     svg.querySelectorAll('polyline[fill]:not([fill="none"])').forEach(pl => {
       pl.style.display = 'none';
+      pl.dataset.gcHidden = 'true';
     });
 
     // Hide OLD stroke polylines (not the active one)
     strokePolylines.forEach((pl, idx) => {
       if (idx < strokePolylines.length - 1) {
         pl.style.display = 'none';
+        pl.dataset.gcHidden = 'true';
       }
     });
 
-    // Create gradient-colored segments using actual polyline points
-    // Filter out y=1 points which are segment boundaries, not elevation data
-    const elevationPoints = points.filter(p => p.y < 1);
-
-    // Check if we have full route data for accurate gradient calculation
-    const { routePoints } = routeData;
-    const useRouteData = routePoints && routePoints.length > 1;
-
-    // Detect route direction (forward or reverse)
-    let isReversed = false;
+    // Gradient as a function of distance in riding direction, the distance
+    // each SVG x stands for, and the x of every data point the coloring uses
+    let gradientAt;
+    let xToDistance;
+    let breaks;
     if (useRouteData) {
-      const direction = detectRouteDirection(elevationPoints, routePoints, totalDistance);
-      isReversed = direction === 'reverse';
-      console.log('[Gradient Colors] Using route data for accurate gradients (' + direction + ')');
+      gradientAt = rideProfile.gradientAt;
+      xToDistance = profileXToDistance;
+      // Color at the route data's own resolution, not the polyline's sampling
+      const { start, span } = rideProfile.view;
+      breaks = [0];
+      for (const p of rideProfile.points) {
+        if (p.distance > start && p.distance < start + span) {
+          breaks.push(distanceToProfileX(p.distance));
+        }
+      }
+      breaks.push(1);
     } else {
       console.log('[Gradient Colors] Falling back to SVG-based gradient estimation');
+      // Fallback: rebuild an elevation profile from the SVG coordinates and smooth
+      // that. SVG y is quantized, so the window must be wide enough for one
+      // quantum to stay below maxGradientPerQuantum percent.
+      const yQuantum = 0.001;
+      const maxGradientPerQuantum = 1;
+      const minWindow = (yQuantum * elevRange * 100) / (ySpan * maxGradientPerQuantum);
+      const svgProfile = elevationPoints.map(p => ({
+        distance: p.x * totalDistance,
+        elevation: minElev + ((yMax - p.y) / ySpan) * elevRange,
+      }));
+      gradientAt = createGradientSampler(svgProfile, totalDistance, {
+        method: settings.smoothingMethod,
+        windowSize: Math.max(settings.smoothingWindow, minWindow),
+      });
+      xToDistance = x => x * totalDistance;
+      breaks = elevationPoints.map(p => p.x);
+    }
+
+    drawProfileFill(svg, strokePolyline, elevationPoints, breaks, x =>
+      gradientToColor(gradientAt(xToDistance(x)))
+    );
+
+    // Mark climbs (needs route data to find them)
+    if (useRouteData) {
+      drawClimbMarkers(svg, elevationPoints);
+      drawLapMarkers(svg);
+    }
+    profilePoints = elevationPoints;
+    drawLegend(svg);
+    drawSteepestMarkers(svg);
+
+    // Mark as processed
+    svg.dataset.gradientColored = 'true';
+    console.log('[Gradient Colors] SVG processing complete');
+  }
+
+  // Clear processed state and remove everything we added to the SVG
+  function clearGradientColoring(svg) {
+    coloringGeneration++;
+    svg.dataset.gradientColored = 'false';
+    removeProfileFill(svg);
+    removeClimbMarkers(svg);
+    removeLapMarkers(svg);
+    removeLegend(svg);
+    removeSteepestMarkers(svg);
+    profilePoints = null;
+  }
+
+  // Fill the area under the profile line with one path painted by a linear
+  // gradient along x. The SVG is normalized 0-1, so with userSpaceOnUse the
+  // gradient offsets are profile x positions.
+  function drawProfileFill(svg, strokePolyline, elevationPoints, breaks, colorAtX) {
+    // Detail finer than a pixel cannot show, so stop at one stop per pixel
+    const maxStops = Math.round(svg.getBoundingClientRect().width) || 1000;
+    const stops = profileGradientStops(breaks, colorAtX, maxStops);
+
+    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+    defs.setAttribute('class', 'gc-profile-defs');
+    const gradient = document.createElementNS('http://www.w3.org/2000/svg', 'linearGradient');
+    gradient.id = 'gc-profile-gradient';
+    gradient.setAttribute('gradientUnits', 'userSpaceOnUse');
+    gradient.setAttribute('x1', '0');
+    gradient.setAttribute('y1', '0');
+    gradient.setAttribute('x2', '1');
+    gradient.setAttribute('y2', '0');
+    for (const { offset, color } of stops) {
+      const stop = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
+      stop.setAttribute('offset', offset);
+      stop.setAttribute('stop-color', color);
+      gradient.appendChild(stop);
+    }
+    defs.appendChild(gradient);
+    svg.insertBefore(defs, svg.firstChild);
+
+    const first = elevationPoints[0];
+    const last = elevationPoints[elevationPoints.length - 1];
+    const d = [`M${first.x},1`];
+    for (const p of elevationPoints) d.push(`L${p.x},${p.y}`);
+    d.push(`L${last.x},1 Z`);
+
+    const fill = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    fill.setAttribute('class', 'gc-profile-fill');
+    fill.setAttribute('d', d.join(' '));
+    fill.setAttribute('fill', 'url(#gc-profile-gradient)');
+    // Insert before the stroke line
+    svg.insertBefore(fill, strokePolyline);
+  }
+
+  function removeProfileFill(svg) {
+    svg.querySelectorAll('.gc-profile-fill, .gc-profile-defs').forEach(el => el.remove());
+  }
+
+  // Remove climb brackets (in the SVG) and their labels (in the HTML overlay)
+  function removeClimbMarkers(svg) {
+    svg.querySelectorAll('.gc-climb-marker').forEach(el => el.remove());
+    svg.parentElement?.querySelectorAll('.gc-climb-labels').forEach(el => el.remove());
+  }
+
+  // Position an HTML overlay exactly over the SVG's box inside its parent.
+  // Labels live in HTML because text inside the non-uniformly scaled SVG
+  // would be distorted.
+  function alignOverlayToSvg(overlay, svg) {
+    const parent = svg.parentElement;
+    if (window.getComputedStyle(parent).position === 'static') {
+      parent.style.position = 'relative';
+    }
+    const svgRect = svg.getBoundingClientRect();
+    const parentRect = parent.getBoundingClientRect();
+    overlay.style.left = svgRect.left - parentRect.left - parent.clientLeft + 'px';
+    overlay.style.top = svgRect.top - parentRect.top - parent.clientTop + 'px';
+    overlay.style.width = svgRect.width + 'px';
+    overlay.style.height = svgRect.height + 'px';
+  }
+
+  // Format a climb as e.g. "Cat 3 · 2.4 km · 6.1% avg · 9.8% max", followed by
+  // the predicted time when timeAt is given
+  function formatClimbLabel(climb, timeAt) {
+    const parts = [
+      climb.category || 'Climb',
+      (climb.length / 1000).toFixed(1) + ' km',
+      climb.avgGrade.toFixed(1) + '% avg',
+      climb.maxGrade.toFixed(1) + '% max',
+    ];
+    if (timeAt) parts.push(formatDuration(climbTime(climb, timeAt)));
+    return parts.join(' · ');
+  }
+
+  // Profile line in SVG coordinates (y < 1 points of the active polyline),
+  // kept for placing overlays against it
+  let profilePoints = null;
+
+  // Route as currently ridden: points mirrored for reversed routes, so distance 0
+  // is the rider's start either way, and repeated for lap races (laps, each
+  // lapDistance long; the last may be partial). view is the stretch the profile
+  // shows ({ start, span } in meters; the whole ride unless the panel is zoomed
+  // in). gradientAt is the smoothed gradient used for coloring and all derived
+  // stats. colorSettings are the settings colors come from: with the stops
+  // rescaled to the route in auto band mode (bandScale then says to what).
+  let rideProfile = null;
+
+  // Work out the direction, the number of laps and the stretch of the ride the
+  // profile line shows (in the worker): normally the whole ride, in local zoom
+  // a window around the rider
+  function alignProfile(elevationPoints, routeData) {
+    const current = rideProfile?.routeData === routeData ? rideProfile : null;
+    return runTask('align', {
+      svgPoints: elevationPoints,
+      route: packedRoute(routeData),
+      lapDistance: routeData.totalDistance,
+      riderDistance: rideProfile ? getRiderDistance() : null,
+      previous: current && { isReversed: current.isReversed, laps: current.laps, ...current.view },
+    });
+  }
+
+  async function updateRideProfile(routeData, view) {
+    const { isReversed, laps, start, span } = view;
+    // Only the window moved (local zoom scrolling): keep gradients, climbs and panels
+    if (
+      rideProfile &&
+      rideProfile.routeData === routeData &&
+      rideProfile.settings === settings &&
+      rideProfile.isReversed === isReversed &&
+      rideProfile.laps === laps
+    ) {
+      rideProfile.view = { start, span };
+      return;
+    }
+
+    // Smoothed gradients come from the worker, sampled every few meters
+    const profileSettings = settings;
+    const lapDistance = routeData.totalDistance;
+    const totalDistance = lapDistance * laps;
+    const { grades, step } = await runTask('gradients', {
+      route: packedRoute(routeData),
+      lapDistance,
+      isReversed,
+      laps,
+      smoothing: smoothingOptions(profileSettings),
+    });
+    // Dropped if the route changed while waiting
+    if (session?.routeData !== routeData) return;
+
+    // Color stops as set, or rescaled to this route's grades in auto band mode
+    let colorSettings = profileSettings;
+    let bandScale = null;
+    if (routeBandMode(profileSettings, session.routeId) === 'auto') {
+      const { colorStops, up, down } = autoScaleColorStops(profileSettings.colorStops, grades);
+      colorSettings = { ...profileSettings, colorStops };
+      bandScale = { up, down };
+      console.log('[Gradient Colors] Auto bands: up to +' + up + '%, down to -' + down + '%');
     }
 
-    for (let i = 0; i < elevationPoints.length - 1; i++) {
-      const p1 = elevationPoints[i];
-      const p2 = elevationPoints[i + 1];
+    const points = ridePoints(routeData.routePoints, lapDistance, isReversed, laps);
+    const gradientAt = gridSampler(grades, step);
+    const climbs = detectClimbs(points, totalDistance, {
+      minLength: profileSettings.climbMinLength,
+      minGain: profileSettings.climbMinGain,
+      maxDip: profileSettings.climbMaxDip,
+      gradientAt,
+    });
+    console.log('[Gradient Colors] Detected', climbs.length, 'climbs');
+    rideProfile = {
+      routeData,
+      settings: profileSettings,
+      points,
+      totalDistance,
+      isReversed,
+      laps,
+      lapDistance,
+      view: { start, span },
+      gradientAt,
+      colorSettings,
+      bandScale,
+      climbs,
+    };
+    updateRiderPanels();
+    updateSummaryPanel();
+  }
 
-      let gradient;
+  // Drop the ride profile and the panels built from it
+  function clearRideProfile() {
+    rideProfile = null;
+    updateRiderPanels();
+    updateSummaryPanel();
+  }
 
-      if (useRouteData) {
-        // Use route data for accurate gradient calculation
-        // SVG x is normalized (0-1), convert to distance
-        const centerX = (p1.x + p2.x) / 2;
-        // If reversed, x=0 is end of route, x=1 is start
-        const distance = isReversed ? (1 - centerX) * totalDistance : centerX * totalDistance;
-        gradient = computeGradientAtDistance(routePoints, distance, totalDistance);
-        // Negate gradient when reversed (going backwards on the route)
-        if (isReversed) gradient = -gradient;
+  // Draw a labeled bracket over each climb of the current ride profile
+  function drawClimbMarkers(svg, elevationPoints) {
+    if (!settings.showClimbs || !rideProfile) return;
+
+    const { climbs } = rideProfile;
+    if (climbs.length === 0) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'gc-overlay gc-climb-labels';
+    svg.parentElement.appendChild(overlay);
+    alignOverlayToSvg(overlay, svg);
+
+    const timeAt = predictedTimeAt();
+    let prevRight = -Infinity;
+    for (const climb of climbs) {
+      // Clipped to the stretch shown; climbs outside it are skipped
+      const x1 = Math.max(0, distanceToProfileX(climb.startDistance));
+      const x2 = Math.min(1, distanceToProfileX(climb.endDistance));
+      if (x2 <= x1) continue;
+      const y1 = getSvgYAtX(elevationPoints, x1);
+      const y2 = getSvgYAtX(elevationPoints, x2);
+      // Bracket sits just above the top of the climb
+      const yTop = Math.max(0.02, Math.min(y1, y2) - 0.06);
+      const color = gradientToColor(climb.avgGrade);
+
+      const bracket = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      bracket.setAttribute('class', 'gc-climb-marker');
+      bracket.setAttribute('d', `M${x1},${y1} V${yTop} H${x2} V${y2}`);
+      bracket.setAttribute('fill', 'none');
+      bracket.setAttribute('stroke', color);
+      bracket.setAttribute('stroke-width', '1.5');
+      bracket.setAttribute('vector-effect', 'non-scaling-stroke');
+      svg.appendChild(bracket);
+
+      const label = document.createElement('div');
+      label.className = 'gc-climb-label';
+      label.textContent = formatClimbLabel(climb, timeAt);
+      label.title = `+${Math.round(climb.gain)} m (${Math.round(climb.startElev)}–${Math.round(climb.endElev)} m)`;
+      if (timeAt) {
+        const speed = formatSpeed(climb.length / climbTime(climb, timeAt));
+        label.title += ` · ${speed} at ${formatPower()}`;
+      }
+      label.style.left = ((x1 + x2) / 2) * 100 + '%';
+      label.style.top = yTop * 100 + '%';
+      label.style.borderLeftColor = color;
+      overlay.appendChild(label);
+
+      // Lift labels that would overlap their left neighbour onto a second row
+      // (labels are centered on their position, so offsetLeft is the midpoint)
+      const left = label.offsetLeft - label.offsetWidth / 2;
+      if (left < prevRight) {
+        label.classList.add('gc-climb-label-raised');
       } else {
-        // Fallback: estimate gradient from SVG coordinates (has quantization noise)
-        const yQuantum = 0.001;
-        const maxGradientPerQuantum = 1;
-        const minDX =
-          (yQuantum * elevRange * 100) / (ySpan * maxGradientPerQuantum * totalDistance);
-
-        const centerX = (p1.x + p2.x) / 2;
-        const targetStartX = centerX - minDX / 2;
-        const targetEndX = centerX + minDX / 2;
-
-        let startIdx = i;
-        while (startIdx > 0 && elevationPoints[startIdx].x > targetStartX) {
-          startIdx--;
-        }
+        prevRight = left + label.offsetWidth;
+      }
+    }
+  }
 
-        let endIdx = i + 1;
-        while (endIdx < elevationPoints.length - 1 && elevationPoints[endIdx].x < targetEndX) {
-          endIdx++;
-        }
+  // Dashed line at each lap boundary, labeled with the lap it starts
+  function drawLapMarkers(svg) {
+    if (!settings.showLapMarkers || !rideProfile || rideProfile.laps <= 1) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'gc-overlay gc-lap-labels';
+    svg.parentElement.appendChild(overlay);
+    alignOverlayToSvg(overlay, svg);
+
+    const { laps, lapDistance } = rideProfile;
+    for (let lap = 1; lap < laps; lap++) {
+      const x = distanceToProfileX(lap * lapDistance);
+      if (x <= 0 || x >= 1) continue;
+
+      const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      line.setAttribute('class', 'gc-lap-marker');
+      line.setAttribute('d', `M${x},0 V1`);
+      svg.appendChild(line);
+
+      const label = document.createElement('div');
+      label.className = 'gc-lap-label';
+      label.textContent = `Lap ${lap + 1}`;
+      label.style.left = x * 100 + '%';
+      overlay.appendChild(label);
+    }
+  }
 
-        const pStart = elevationPoints[startIdx];
-        const pEnd = elevationPoints[endIdx];
-        const dY = pStart.y - pEnd.y;
-        const dX = pEnd.x - pStart.x;
+  // Remove lap lines (in the SVG) and their labels (in the HTML overlay)
+  function removeLapMarkers(svg) {
+    svg.querySelectorAll('.gc-lap-marker').forEach(el => el.remove());
+    svg.parentElement?.querySelectorAll('.gc-lap-labels').forEach(el => el.remove());
+  }
+
+  // Compact color legend: the palette as a bar with a grade label per stop
+  const LEGEND_SEGMENTS = 60;
+  const LEGEND_MIN_TICK_GAP = 0.12; // fraction of the bar between labels
+  const LEGEND_MARGIN = 4; // px kept clear around the legend
+
+  function drawLegend(svg) {
+    removeLegend(svg);
+    if (!settings.showLegend) return;
+
+    const stops = colorSettings().colorStops;
+    const minGrade = stops[0].grade;
+    const maxGrade = stops[stops.length - 1].grade;
+    const span = maxGrade - minGrade || 1;
+
+    const bar = document.createElement('div');
+    bar.className = 'gc-legend-bar';
+    for (let i = 0; i < LEGEND_SEGMENTS; i++) {
+      const segment = document.createElement('span');
+      const grade = minGrade + ((i + 0.5) / LEGEND_SEGMENTS) * span;
+      segment.style.backgroundColor = gradientToColor(grade);
+      bar.appendChild(segment);
+    }
 
-        if (dX <= 0) continue;
-        gradient = ((dY * elevRange) / (ySpan * dX * totalDistance)) * 100;
+    // Skip labels that would crowd their left neighbour, but always keep the last
+    const ticks = document.createElement('div');
+    ticks.className = 'gc-legend-ticks';
+    let prevPos = -Infinity;
+    stops.forEach((stop, i) => {
+      const pos = (stop.grade - minGrade) / span;
+      const isLast = i === stops.length - 1;
+      if (pos - prevPos < LEGEND_MIN_TICK_GAP) {
+        if (!isLast) return;
+        ticks.lastChild?.remove();
       }
+      const tick = document.createElement('span');
+      tick.textContent = (stop.grade > 0 ? '+' : '') + stop.grade + (isLast ? '%' : '');
+      tick.style.left = pos * 100 + '%';
+      ticks.appendChild(tick);
+      prevPos = pos;
+    });
 
-      const color = gradientToColor(gradient);
+    const legend = document.createElement('div');
+    legend.className = 'gc-legend';
+    const summaryKeys = settings.keyBindings.toggleSummary;
+    legend.title = summaryKeys.length ? `Route summary (${summaryKeys[0]})` : 'Route summary';
+    legend.append(bar, ticks);
+    // Auto band mode: say the scale is this route's own
+    if (routeBandScale()) {
+      const mode = document.createElement('div');
+      mode.className = 'gc-legend-mode';
+      mode.textContent = 'Auto bands for this route';
+      legend.appendChild(mode);
+    }
+    // Don't let the click reach the panel, which toggles the zoom
+    legend.addEventListener('click', function (e) {
+      e.stopPropagation();
+      toggleSummaryPanel();
+    });
+
+    const layer = document.createElement('div');
+    layer.className = 'gc-overlay gc-legend-layer';
+    layer.appendChild(legend);
+    svg.parentElement.appendChild(layer);
+
+    placeLegend(svg);
+  }
 
-      // Create a filled polygon for this segment
-      const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-      const polygonPoints = `${p1.x},1 ${p1.x},${p1.y} ${p2.x},${p2.y} ${p2.x},1`;
-      polygon.setAttribute('points', polygonPoints);
-      polygon.setAttribute('fill', color);
-      // Use matching stroke to cover hairline gaps between adjacent polygons
-      polygon.setAttribute('stroke', color);
-      polygon.setAttribute('stroke-width', '1.5');
-      polygon.setAttribute('vector-effect', 'non-scaling-stroke');
+  // Put the legend in whichever top corner keeps it clear of the profile line,
+  // or just above the profile when neither corner is free
+  function placeLegend(svg) {
+    const layer = svg.parentElement?.querySelector('.gc-legend-layer');
+    if (!layer || !profilePoints) return;
+    alignOverlayToSvg(layer, svg);
+
+    const legend = layer.firstChild;
+    const rect = svg.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+    const width = (legend.offsetWidth + 2 * LEGEND_MARGIN) / rect.width;
+    const needed = legend.offsetHeight + 2 * LEGEND_MARGIN;
+    const leftClearance = profileTopInRange(profilePoints, 0, width) * rect.height - needed;
+    const rightClearance = profileTopInRange(profilePoints, 1 - width, 1) * rect.height - needed;
+
+    legend.classList.toggle('gc-legend-right', rightClearance > leftClearance);
+    legend.classList.toggle('gc-legend-outside', Math.max(leftClearance, rightClearance) < 0);
+  }
 
-      // Insert before the stroke line
-      svg.insertBefore(polygon, strokePolyline);
+  // Highest point (smallest SVG y) of the profile between two normalized x values
+  function profileTopInRange(points, x1, x2) {
+    let top = Math.min(getSvgYAtX(points, x1), getSvgYAtX(points, x2));
+    for (const p of points) {
+      if (p.x > x1 && p.x < x2) top = Math.min(top, p.y);
     }
+    return top;
+  }
 
-    // Mark as processed
-    svg.dataset.gradientColored = 'true';
-    console.log('[Gradient Colors] SVG processing complete');
+  function removeLegend(svg) {
+    svg.parentElement?.querySelectorAll('.gc-legend-layer').forEach(el => el.remove());
+  }
+
+  // Map a normalized SVG x (0-1) to distance from the start in riding direction,
+  // through the stretch of the route the profile shows
+  function profileXToDistance(x) {
+    const { start, span } = rideProfile.view;
+    return start + Math.max(0, Math.min(1, x)) * span;
+  }
+
+  // Inverse of profileXToDistance (not clamped: outside 0-1 is off the profile)
+  function distanceToProfileX(distance) {
+    const { start, span } = rideProfile.view;
+    return (distance - start) / span;
+  }
+
+  // Crosshair tooltip over the profile: distance, elevation, gradient and the
+  // steepest grade just ahead
+  const TOOLTIP_LOOKAHEAD = 200; // meters
+
+  // Listeners are removed when the session's signal aborts
+  function setupProfileTooltip(svg, signal) {
+    let touchTimer = null;
+
+    function onPointer(e) {
+      const rect = svg.getBoundingClientRect();
+      const x = (e.clientX - rect.left) / rect.width;
+      if (!settings.showTooltip || !rideProfile || !(x >= 0 && x <= 1)) {
+        hideProfileTooltip(svg);
+        return;
+      }
+      clearTimeout(touchTimer);
+      updateProfileTooltip(svg, x);
+    }
+
+    svg.addEventListener('pointermove', onPointer, { signal });
+    svg.addEventListener(
+      'pointerdown',
+      function (e) {
+        if (e.pointerType !== 'mouse') onPointer(e);
+      },
+      { signal }
+    );
+    svg.addEventListener(
+      'pointerleave',
+      function (e) {
+        if (e.pointerType === 'mouse') hideProfileTooltip(svg);
+      },
+      { signal }
+    );
+    // On touch screens keep the tooltip up briefly after the finger lifts
+    svg.addEventListener(
+      'pointerup',
+      function (e) {
+        if (e.pointerType === 'mouse') return;
+        clearTimeout(touchTimer);
+        touchTimer = setTimeout(function () {
+          hideProfileTooltip(svg);
+        }, 2000);
+      },
+      { signal }
+    );
+  }
+
+  function updateProfileTooltip(svg, x) {
+    const parent = svg.parentElement;
+    let layer = parent.querySelector('.gc-tooltip-layer');
+    if (!layer) {
+      layer = document.createElement('div');
+      layer.className = 'gc-overlay gc-tooltip-layer';
+      const crosshair = document.createElement('div');
+      crosshair.className = 'gc-crosshair';
+      const box = document.createElement('div');
+      box.className = 'gc-tooltip';
+      layer.append(crosshair, box);
+      parent.appendChild(layer);
+    }
+    alignOverlayToSvg(layer, svg);
+
+    const { points, totalDistance, gradientAt } = rideProfile;
+    const distance = profileXToDistance(x);
+    const elevation = interpolateElevation(points, distance);
+    const gradient = gradientAt(distance);
+    const aheadEnd = Math.min(totalDistance, distance + TOOLTIP_LOOKAHEAD);
+    const maxAhead =
+      aheadEnd > distance ? maxGradientInRange(gradientAt, distance, aheadEnd) : gradient;
+
+    layer.querySelector('.gc-crosshair').style.left = x * 100 + '%';
+    const box = layer.querySelector('.gc-tooltip');
+    box.style.left = x * 100 + '%';
+    // Keep the box on the inside of the profile
+    box.classList.toggle('gc-tooltip-flipped', x > 0.5);
+
+    const timeAt = predictedTimeAt();
+    const rows = [
+      formatKm(distance) + ' · ' + Math.round(elevation) + ' m',
+      [gradeChip(gradient), ' grade'],
+      `Max next ${TOOLTIP_LOOKAHEAD} m: ${maxAhead.toFixed(1)}%`,
+      ...(timeAt ? [`Time ≈ ${formatDuration(timeAt(distance))} at ${formatPower()}`] : []),
+    ].map(content => {
+      const row = document.createElement('div');
+      row.append(...[].concat(content));
+      return row;
+    });
+    box.replaceChildren(...rows);
+  }
+
+  function hideProfileTooltip(svg) {
+    svg.parentElement?.querySelector('.gc-tooltip-layer')?.remove();
+  }
+
+  // Distance stat as rendered by Biketerra, e.g. "12.3 km" or "7.6 mi"
+  const DISTANCE_STAT_SELECTOR =
+    '.panel-distance .stat-value, .stat-distance .stat-value, ' +
+    '.panel-distance .stat-circle-value, .stat-distance .stat-circle-value';
+
+  const UNIT_METERS = { km: 1000, mi: 1609.344, m: 1, ft: 0.3048 };
+
+  // Parse a distance like "12.3 km" into meters (null if it doesn't parse)
+  function parseDistanceText(text) {
+    const match = text.replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*(km|mi|m|ft)\b/i);
+    if (!match) return null;
+    return parseFloat(match[1]) * UNIT_METERS[match[2].toLowerCase()];
+  }
+
+  // Rider's distance from the start (in riding direction), in meters.
+  // Prefers the distance stat; falls back to the position marker drawn on the
+  // profile, whose x is normalized 0-1 like the polylines. Returns null if unknown.
+  function getRiderDistance() {
+    if (!rideProfile) return null;
+
+    const stat = document.querySelector(DISTANCE_STAT_SELECTOR);
+    if (stat) {
+      const distance = parseDistanceText(stat.textContent);
+      if (distance !== null) {
+        return Math.max(0, Math.min(rideProfile.totalDistance, distance));
+      }
+    }
+
+    const svg = document.querySelector('svg.pathSVG');
+    const marker = svg?.querySelector('circle:not([class^="gc-"]), line:not([class^="gc-"])');
+    if (marker) {
+      const x = parseFloat(marker.getAttribute('cx') ?? marker.getAttribute('x1'));
+      if (x >= 0 && x <= 1) {
+        return profileXToDistance(x);
+      }
+    }
+
+    return null;
+  }
+
+  // The panels that follow the rider (next climb, look-ahead, minimap) share
+  // one ticker, which reads the rider's position once for all of them
+  const RIDER_TICK_INTERVAL = 1000; // ms
+  let riderTicker = null;
+
+  // Rebuild the rider panels, and run the ticker while any of them is enabled
+  function updateRiderPanels() {
+    const riderDistance = getRiderDistance();
+    updateNextClimbPanel(riderDistance);
+    updateLookAhead(riderDistance);
+    updateMinimap(riderDistance);
+
+    const wanted =
+      rideProfile && (settings.showNextClimb || settings.showLookAhead || settings.showMinimap);
+    if (wanted && !riderTicker) {
+      riderTicker = setInterval(riderTick, RIDER_TICK_INTERVAL);
+    } else if (!wanted && riderTicker) {
+      clearInterval(riderTicker);
+      riderTicker = null;
+    }
+  }
+
+  function riderTick() {
+    const riderDistance = getRiderDistance();
+    updateNextClimbPanel(riderDistance);
+    updateLookAhead(riderDistance);
+    updateMinimapRider(riderDistance);
+  }
+
+  // "Next climb" heads-up panel (ride pages only)
+  let nextClimbPanel = null;
+
+  function isRidePage() {
+    return window.location.pathname.startsWith('/ride');
+  }
+
+  // First climb that is not yet finished at the given distance
+  function findNextClimb(climbs, riderDistance) {
+    return climbs.find(c => c.endDistance > riderDistance) || null;
+  }
+
+  function formatKm(meters) {
+    return (meters / 1000).toFixed(1) + ' km';
+  }
+
+  // Grade value on a background of its gradient color
+  function gradeChip(grade) {
+    const chip = document.createElement('span');
+    chip.className = 'gc-grade-chip';
+    const color = gradientToColor(grade);
+    chip.style.backgroundColor = color;
+    applyReadableText(chip, color);
+    chip.textContent = grade.toFixed(1) + '%';
+    return chip;
+  }
+
+  function updateNextClimbPanel(riderDistance) {
+    if (!settings.showNextClimb || !isRidePage() || !rideProfile) {
+      removeNextClimbPanel();
+      return;
+    }
+
+    const climb = riderDistance === null ? null : findNextClimb(rideProfile.climbs, riderDistance);
+    if (!climb) {
+      removeNextClimbPanel();
+      return;
+    }
+
+    if (!nextClimbPanel) {
+      nextClimbPanel = document.createElement('div');
+      nextClimbPanel.className = 'gc-panel gc-next-climb';
+      document.body.appendChild(nextClimbPanel);
+    }
+
+    const onClimb = riderDistance >= climb.startDistance;
+    const heading = onClimb
+      ? `${climb.category || 'Climb'} · ${formatKm(climb.endDistance - riderDistance)} to top`
+      : `Next: ${climb.category || 'climb'} in ${formatKm(climb.startDistance - riderDistance)}`;
+
+    const title = document.createElement('div');
+    title.className = 'gc-panel-title';
+    title.textContent = heading;
+
+    const details = document.createElement('div');
+    details.className = 'gc-panel-row';
+    details.append(
+      formatKm(climb.length) + ' · ',
+      gradeChip(climb.avgGrade),
+      ' avg · ' + climb.maxGrade.toFixed(1) + '% max'
+    );
+
+    nextClimbPanel.replaceChildren(title, details);
+
+    // Predicted time for the climb, or for what is left of it
+    const timeAt = predictedTimeAt();
+    if (timeAt) {
+      const from = Math.max(climb.startDistance, riderDistance);
+      const prediction = document.createElement('div');
+      prediction.className = 'gc-panel-row';
+      prediction.textContent =
+        `≈ ${formatDuration(timeAt(climb.endDistance) - timeAt(from))} at ${formatPower()} · ` +
+        formatSpeed(climb.length / climbTime(climb, timeAt));
+      nextClimbPanel.appendChild(prediction);
+    }
+  }
+
+  function removeNextClimbPanel() {
+    if (nextClimbPanel) {
+      nextClimbPanel.remove();
+      nextClimbPanel = null;
+    }
+  }
+
+  // Look-ahead indicator beside the GRADE circle: one circle per look-ahead
+  // distance with the average grade to there, colored like the profile, and an
+  // arrow for whether the road gets steeper or easier than it is now
+  const LOOKAHEAD_TREND_THRESHOLD = 1; // grade change (%) shown as a trend
+  let lookAheadIndicator = null;
+
+  function updateLookAhead(riderDistance) {
+    const gradeStat = document
+      .querySelector('.panel-grade .stat-circle-fill, .stat-grade .stat-circle-fill')
+      ?.closest('.panel-grade, .stat-grade');
+    if (!settings.showLookAhead || !recoloringEnabled || !rideProfile || !gradeStat) {
+      removeLookAhead();
+      return;
+    }
+
+    // Re-attach on each tick if the app re-rendered the stats
+    if (!lookAheadIndicator) {
+      lookAheadIndicator = document.createElement('div');
+      lookAheadIndicator.className = 'gc-lookahead';
+    }
+    if (lookAheadIndicator.previousElementSibling !== gradeStat) {
+      gradeStat.after(lookAheadIndicator);
+    }
+
+    const { points, totalDistance, gradientAt } = rideProfile;
+    const remaining = riderDistance === null ? 0 : totalDistance - riderDistance;
+    lookAheadIndicator.hidden = remaining <= 0;
+    if (remaining <= 0) return;
+
+    const now = gradientAt(riderDistance);
+    const stats = settings.lookAheadDistances.map(distance => {
+      const end = riderDistance + Math.min(distance, remaining);
+      const grade = averageGradient(points, riderDistance, end);
+      const change = grade - now;
+      let trend = '→';
+      if (change > LOOKAHEAD_TREND_THRESHOLD) trend = '↗';
+      if (change < -LOOKAHEAD_TREND_THRESHOLD) trend = '↘';
+
+      const color = gradientToColor(grade);
+      const value = document.createElement('span');
+      value.className = 'gc-lookahead-value';
+      value.textContent = grade.toFixed(1);
+      const arrow = document.createElement('span');
+      arrow.className = 'gc-lookahead-trend';
+      arrow.textContent = trend;
+      const circle = document.createElement('div');
+      circle.className = 'gc-lookahead-circle';
+      circle.style.backgroundColor = color;
+      applyReadableText(circle, color);
+      circle.append(value, arrow);
+
+      const label = document.createElement('div');
+      label.className = 'gc-lookahead-label';
+      label.textContent = `Next ${formatLength(distance)}`;
+
+      const stat = document.createElement('div');
+      stat.className = 'gc-lookahead-stat';
+      stat.title = `Average grade over the next ${formatLength(distance)} (${now.toFixed(1)}% now)`;
+      stat.append(circle, label);
+      return stat;
+    });
+    lookAheadIndicator.replaceChildren(...stats);
+  }
+
+  function removeLookAhead() {
+    if (lookAheadIndicator) {
+      lookAheadIndicator.remove();
+      lookAheadIndicator = null;
+    }
+  }
+
+  // Plan-view minimap: the route's shape colored by gradient, with start,
+  // finish and the rider's position. Needs x/z on the route points.
+  const MINIMAP_SEGMENTS = 400;
+  let minimapPanel = null;
+
+  function updateMinimap(riderDistance) {
+    const hasGeometry = rideProfile && rideProfile.points[0]?.x !== undefined;
+    if (!settings.showMinimap || !hasGeometry) {
+      removeMinimap();
+      return;
+    }
+
+    drawMinimap();
+    updateMinimapRider(riderDistance);
+  }
+
+  function drawMinimap() {
+    const { points, totalDistance, gradientAt } = rideProfile;
+
+    let minX = Infinity,
+      maxX = -Infinity,
+      minZ = Infinity,
+      maxZ = -Infinity;
+    for (const p of points) {
+      minX = Math.min(minX, p.x);
+      maxX = Math.max(maxX, p.x);
+      minZ = Math.min(minZ, p.z);
+      maxZ = Math.max(maxZ, p.z);
+    }
+    const size = Math.max(maxX - minX, maxZ - minZ) || 1;
+    const pad = size * 0.06;
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute(
+      'viewBox',
+      `${minX - pad} ${minZ - pad} ${maxX - minX + 2 * pad} ${maxZ - minZ + 2 * pad}`
+    );
+
+    // Sample the route evenly; runs of the same color share one path
+    const runs = [];
+    const step = totalDistance / MINIMAP_SEGMENTS;
+    let prev = interpolatePosition(points, 0);
+    const outline = [`M${prev.x},${prev.z}`];
+    for (let i = 1; i <= MINIMAP_SEGMENTS; i++) {
+      const pos = interpolatePosition(points, i * step);
+      const color = gradientToColor(gradientAt((i - 0.5) * step));
+      if (runs.length === 0 || runs[runs.length - 1].color !== color) {
+        runs.push({ color, d: [`M${prev.x},${prev.z}`] });
+      }
+      runs[runs.length - 1].d.push(`L${pos.x},${pos.z}`);
+      outline.push(`L${pos.x},${pos.z}`);
+      prev = pos;
+    }
+
+    // Dark casing under the colored route keeps light colors visible
+    const casing = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    casing.setAttribute('class', 'gc-minimap-casing');
+    casing.setAttribute('d', outline.join(''));
+    svg.appendChild(casing);
+    for (const run of runs) {
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      path.setAttribute('class', 'gc-minimap-route');
+      path.setAttribute('d', run.d.join(''));
+      path.setAttribute('stroke', run.color);
+      svg.appendChild(path);
+    }
+
+    const radius = size * 0.025;
+    const marker = (className, pos) => {
+      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      circle.setAttribute('class', className);
+      circle.setAttribute('cx', pos.x);
+      circle.setAttribute('cy', pos.z);
+      circle.setAttribute('r', radius);
+      svg.appendChild(circle);
+      return circle;
+    };
+    marker('gc-minimap-finish', interpolatePosition(points, totalDistance));
+    marker('gc-minimap-start', interpolatePosition(points, 0));
+    marker('gc-minimap-rider', { x: 0, z: 0 }).setAttribute('r', radius * 1.4);
+
+    if (!minimapPanel) {
+      minimapPanel = document.createElement('div');
+      minimapPanel.className = 'gc-panel gc-minimap';
+      document.body.appendChild(minimapPanel);
+    }
+    minimapPanel.replaceChildren(svg);
+  }
+
+  function updateMinimapRider(distance) {
+    if (!minimapPanel || !rideProfile) return;
+    const rider = minimapPanel.querySelector('.gc-minimap-rider');
+    if (distance === null) {
+      rider.style.display = 'none';
+      return;
+    }
+    const pos = interpolatePosition(rideProfile.points, distance);
+    rider.setAttribute('cx', pos.x);
+    rider.setAttribute('cy', pos.z);
+    rider.style.display = '';
+  }
+
+  function removeMinimap() {
+    if (minimapPanel) {
+      minimapPanel.remove();
+      minimapPanel = null;
+    }
+  }
+
+  // Route summary panel, toggled with the summary key or by clicking the legend:
+  // totals, extremes, steepest stretches and distance per color band. The
+  // steepest stretches are marked on the profile while it is open.
+  let summaryPanel = null;
+
+  function toggleSummaryPanel() {
+    if (summaryPanel) {
+      closeSummaryPanel();
+      return;
+    }
+    if (!rideProfile) return;
+
+    summaryPanel = document.createElement('div');
+    summaryPanel.className = 'gc-panel gc-summary';
+    document.body.appendChild(summaryPanel);
+    updateSummaryPanel();
+    const svg = document.querySelector('svg.pathSVG');
+    if (svg) {
+      drawSteepestMarkers(svg);
+    }
+  }
+
+  function closeSummaryPanel() {
+    if (summaryPanel) {
+      summaryPanel.remove();
+      summaryPanel = null;
+    }
+    const svg = document.querySelector('svg.pathSVG');
+    if (svg) {
+      removeSteepestMarkers(svg);
+    }
+  }
+
+  // Predicted elapsed time along the ride (distance -> seconds) for the rider
+  // profile settings, computed once per profile; null when predictions are off
+  function predictedTimeAt() {
+    if (!settings.showPrediction || !rideProfile) return null;
+    if (!rideProfile.timeAt) {
+      const { points, totalDistance, gradientAt } = rideProfile;
+      rideProfile.timeAt = createTimePredictor(points, totalDistance, rideProfile.settings, {
+        gradientAt,
+      });
+    }
+    return rideProfile.timeAt;
+  }
+
+  function climbTime(climb, timeAt) {
+    return timeAt(climb.endDistance) - timeAt(climb.startDistance);
+  }
+
+  // "42:05" or "1:42:05"
+  function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  function formatSpeed(metersPerSecond) {
+    return (metersPerSecond * 3.6).toFixed(1) + ' km/h';
+  }
+
+  function formatPower() {
+    return Math.round(riderPower(settings)) + ' W';
+  }
+
+  // Summary of the current ride profile, computed once per profile
+  function routeSummary() {
+    if (!rideProfile.summary) {
+      rideProfile.summary = summarizeRoute(rideProfile.points, rideProfile.totalDistance, {
+        colorStops: colorSettings().colorStops,
+        gradientAt: rideProfile.gradientAt,
+      });
+    }
+    return rideProfile.summary;
+  }
+
+  function formatLength(meters) {
+    return meters < 1000 ? meters + ' m' : meters / 1000 + ' km';
+  }
+
+  function formatBand(band) {
+    if (!isFinite(band.min)) return `< ${band.max}%`;
+    if (!isFinite(band.max)) return `≥ ${band.min}%`;
+    return `${band.min} to ${band.max}%`;
+  }
+
+  // Representative grade of a band: its middle, or its edge when open-ended
+  function bandGrade(band) {
+    if (!isFinite(band.min)) return band.max;
+    if (!isFinite(band.max)) return band.min;
+    return (band.min + band.max) / 2;
+  }
+
+  function updateSummaryPanel() {
+    if (!summaryPanel) return;
+    if (!rideProfile) {
+      closeSummaryPanel();
+      return;
+    }
+
+    const summary = routeSummary();
+    const row = (className, ...content) => {
+      const div = document.createElement('div');
+      div.className = className;
+      div.append(...content);
+      return div;
+    };
+
+    const close = document.createElement('button');
+    close.className = 'gc-panel-close';
+    close.textContent = '✕';
+    close.title = 'Close';
+    close.addEventListener('click', closeSummaryPanel);
+    const title = document.createElement('div');
+    title.className = 'gc-panel-title';
+    title.append('Route summary', close);
+
+    const { highest, lowest } = summary;
+    const totals = [
+      row(
+        'gc-panel-row',
+        `${formatKm(summary.totalDistance)} · ↑ ${Math.round(summary.ascent)} m · ` +
+          `↓ ${Math.round(summary.descent)} m`
+      ),
+      row(
+        'gc-panel-row',
+        `Highest ${Math.round(highest.elevation)} m at ${formatKm(highest.distance)}`
+      ),
+      row(
+        'gc-panel-row',
+        `Lowest ${Math.round(lowest.elevation)} m at ${formatKm(lowest.distance)}`
+      ),
+    ];
+
+    // Steepest stretches: one row per length, up and down
+    const steepest = document.createElement('table');
+    steepest.className = 'gc-summary-table';
+    for (const { length, up, down } of summary.steepest) {
+      const tr = steepest.insertRow();
+      tr.insertCell().textContent = formatLength(length);
+      for (const section of [up, down]) {
+        const cell = tr.insertCell();
+        if (section) {
+          cell.append(gradeChip(section.grade), ' at ' + formatKm(section.startDistance));
+        } else {
+          cell.textContent = '–';
+        }
+      }
+    }
+
+    // Distance per color band, bars scaled to the largest band
+    const histogram = document.createElement('table');
+    histogram.className = 'gc-summary-table gc-histogram';
+    const maxBand = Math.max(...summary.bands.map(b => b.distance)) || 1;
+    for (const band of summary.bands) {
+      const tr = histogram.insertRow();
+      tr.insertCell().textContent = formatBand(band);
+      const bar = document.createElement('div');
+      bar.className = 'gc-histogram-bar';
+      bar.style.width = (band.distance / maxBand) * 100 + '%';
+      bar.style.backgroundColor = gradientToColor(bandGrade(band));
+      tr.insertCell().appendChild(bar);
+      const share = Math.round((band.distance / summary.totalDistance) * 100);
+      tr.insertCell().textContent = `${formatKm(band.distance)} (${share}%)`;
+    }
+
+    summaryPanel.replaceChildren(
+      title,
+      ...totals,
+      row('gc-panel-heading', 'Steepest (up / down)'),
+      steepest,
+      row('gc-panel-heading', 'Distance by grade'),
+      histogram,
+      ...predictionRows(row)
+    );
+  }
+
+  // Summary rows with predicted times for the whole ride and each climb (none
+  // when predictions are off)
+  function predictionRows(row) {
+    const timeAt = predictedTimeAt();
+    if (!timeAt) return [];
+    const { totalDistance, climbs } = rideProfile;
+    const totalTime = timeAt(totalDistance);
+
+    const table = document.createElement('table');
+    table.className = 'gc-summary-table';
+    for (const climb of climbs) {
+      const time = climbTime(climb, timeAt);
+      const tr = table.insertRow();
+      const name = climb.category || 'Climb';
+      tr.insertCell().textContent = `${name} at ${formatKm(climb.startDistance)}`;
+      tr.insertCell().append(gradeChip(climb.avgGrade), ' ' + formatKm(climb.length));
+      const speed = formatSpeed(climb.length / time);
+      tr.insertCell().textContent = `${formatDuration(time)} · ${speed}`;
+    }
+
+    return [
+      row('gc-panel-heading', `Predicted at ${formatPower()}`),
+      row(
+        'gc-panel-row',
+        `${formatDuration(totalTime)} · ${formatSpeed(totalDistance / totalTime)} average`
+      ),
+      ...(climbs.length > 0 ? [table] : []),
+    ];
+  }
+
+  // Highlight the steepest stretches along the profile line
+  function drawSteepestMarkers(svg) {
+    removeSteepestMarkers(svg);
+    if (!summaryPanel || !rideProfile || !profilePoints) return;
+
+    for (const { up, down } of routeSummary().steepest) {
+      for (const [section, direction] of [
+        [up, 'up'],
+        [down, 'down'],
+      ]) {
+        if (!section) continue;
+        const x1 = Math.max(0, distanceToProfileX(section.startDistance));
+        const x2 = Math.min(1, distanceToProfileX(section.endDistance));
+        if (x2 <= x1) continue;
+        const d = [`M${x1},${getSvgYAtX(profilePoints, x1)}`];
+        for (const p of profilePoints) {
+          if (p.x > x1 && p.x < x2) d.push(`L${p.x},${p.y}`);
+        }
+        d.push(`L${x2},${getSvgYAtX(profilePoints, x2)}`);
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('class', `gc-steepest-marker gc-steepest-${direction}`);
+        path.setAttribute('d', d.join(' '));
+        svg.appendChild(path);
+      }
+    }
+  }
+
+  function removeSteepestMarkers(svg) {
+    svg.querySelectorAll('.gc-steepest-marker').forEach(el => el.remove());
   }
 
   // Parse polyline points string into array of {x, y}
@@ -538,8 +1680,30 @@
     return points;
   }
 
-  // Watch for DOM changes (new SVGs, route ID appearing, grade circle)
+  // Whether any of the nodes is or contains the route menu's route ID
+  function touchesRouteId(nodes) {
+    for (const node of nodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (node.matches('.route-id') || node.querySelector('.route-id')) return true;
+    }
+    return false;
+  }
+
+  // Watch for DOM changes (new SVGs, route ID appearing, grade circle). Route
+  // changes are only looked for when the URL moved (in-app navigation) or the
+  // route ID element came or went, not on every update of our own overlays.
+  let lastHref = window.location.href;
   const domObserver = new MutationObserver(function (mutations) {
+    let routeMayHaveChanged = window.location.href !== lastHref;
+    lastHref = window.location.href;
+    for (const mutation of mutations) {
+      if (routeMayHaveChanged) break;
+      routeMayHaveChanged =
+        touchesRouteId(mutation.addedNodes) || touchesRouteId(mutation.removedNodes);
+    }
+    if (routeMayHaveChanged) {
+      checkRouteChange();
+    }
     for (const mutation of mutations) {
       if (mutation.type === 'childList') {
         for (const node of mutation.addedNodes) {
@@ -570,9 +1734,11 @@
 
   // Start observing for DOM changes
   domObserver.observe(document.body, { childList: true, subtree: true });
+  window.addEventListener('popstate', checkRouteChange);
 
   // Watch for SVG content changes (handles direction reversal on out-and-back routes)
   let svgContentObserver = null;
+  let svgResizeObserver = null;
   let observedSvg = null;
   let debounceTimer = null;
 
@@ -583,21 +1749,19 @@
 
   function setupPolylineObserver() {
     const svg = document.querySelector('svg.pathSVG');
-    if (!svg) return;
+    if (!svg || !session) return;
 
     // Don't set up again if we're already observing this SVG
     if (observedSvg === svg) return;
 
-    // Disconnect old observer if switching to new SVG
-    if (svgContentObserver) {
-      svgContentObserver.disconnect();
-    }
+    // Disconnect old observers if switching to new SVG
+    teardownPolylineObserver();
 
     console.log('[Gradient Colors] Setting up SVG content observer for direction changes');
     observedSvg = svg;
 
     svgContentObserver = new MutationObserver(function (mutations) {
-      // Check if any polylines were added (ignore our polygon additions)
+      // Check if any polylines were added (ignore our own additions)
       const hasPolylineChange = mutations.some(m =>
         Array.from(m.addedNodes).some(n => n.nodeName === 'polyline')
       );
@@ -609,9 +1773,8 @@
       debounceTimer = setTimeout(function () {
         console.log('[Gradient Colors] SVG polylines changed, reprocessing...');
 
-        // Clear processed state and remove old polygons
-        svg.dataset.gradientColored = 'false';
-        svg.querySelectorAll('polygon').forEach(p => p.remove());
+        // Clear processed state and remove the old fill
+        clearGradientColoring(svg);
 
         // Reprocess
         processElevationSVG();
@@ -623,26 +1786,222 @@
       childList: true,
       subtree: true,
     });
+
+    // Keep HTML overlays (climb labels, tooltip) aligned when the panel is resized
+    svgResizeObserver = new ResizeObserver(function () {
+      svg.parentElement?.querySelectorAll('.gc-overlay').forEach(overlay => {
+        alignOverlayToSvg(overlay, svg);
+      });
+      placeLegend(svg);
+    });
+    svgResizeObserver.observe(svg);
+
+    setupProfileTooltip(svg, session.controller.signal);
   }
 
+  function teardownPolylineObserver() {
+    if (svgContentObserver) {
+      svgContentObserver.disconnect();
+      svgContentObserver = null;
+    }
+    if (svgResizeObserver) {
+      svgResizeObserver.disconnect();
+      svgResizeObserver = null;
+    }
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    observedSvg = null;
+  }
+
+  // Recoloring can be switched off per tab from the toolbar popup; switching it
+  // off restores Biketerra's own profile and grade circle
+  let recoloringEnabled = true;
+
+  function setRecoloringEnabled(enabled) {
+    if (enabled === recoloringEnabled) return;
+    recoloringEnabled = enabled;
+    console.log('[Gradient Colors] Recoloring', enabled ? 'enabled' : 'disabled', 'for this tab');
+    // Lets hide-grade-circle.css stand down while disabled
+    document.documentElement.classList.toggle('gc-disabled', !enabled);
+
+    if (enabled) {
+      reprocessProfile();
+      return;
+    }
+
+    const svg = document.querySelector('svg.pathSVG');
+    if (svg) {
+      clearGradientColoring(svg);
+      hideProfileTooltip(svg);
+      svg.querySelectorAll('[data-gc-hidden]').forEach(pl => {
+        pl.style.display = '';
+        delete pl.dataset.gcHidden;
+      });
+    }
+    clearRideProfile();
+
+    const circle = document.querySelector(
+      '.panel-grade .stat-circle-fill, .stat-grade .stat-circle-fill'
+    );
+    if (circle) {
+      circle.style.removeProperty('background-color');
+      const valueElem = circle.parentElement?.querySelector('.stat-circle-value');
+      valueElem?.style.removeProperty('color');
+      valueElem?.style.removeProperty('text-shadow');
+    }
+  }
+
+  // Redo the profile from scratch (picks up a changed route as well)
+  function reprocessProfile() {
+    const svg = document.querySelector('svg.pathSVG');
+    if (svg) {
+      clearGradientColoring(svg);
+    }
+    initialize();
+    updateGradientCircleColor();
+  }
+
+  // What the toolbar popup shows for this tab
+  function getTabStatus() {
+    const routeData = session?.routeData;
+    const routeId = session?.routeId ?? findRouteId();
+    return {
+      routeId,
+      routeName: routeData?.name || findRouteName(),
+      source: routeData?.source ?? null,
+      loading: !!session && !routeData,
+      direction: rideProfile ? (rideProfile.isReversed ? 'reverse' : 'forward') : null,
+      totalDistance: rideProfile?.totalDistance ?? null,
+      laps: rideProfile?.laps ?? null,
+      canExport: !!rideProfile,
+      // Band mode in effect, the route's override (null if it follows the
+      // default) and, in auto mode, the steepest stops' grades
+      bandMode: routeId ? routeBandMode(settings, routeId) : settings.bandMode,
+      bandOverride: routeId ? routeBandOverride(settings, routeId) : null,
+      bandScale: routeBandScale(),
+      hasCoordinates: rideProfile?.points[0]?.lat !== undefined,
+      enabled: recoloringEnabled,
+    };
+  }
+
+  // Download the ride's points (in riding direction, every lap) with their
+  // smoothed gradient and color. Returns { filename } or { error }.
+  function exportRide(format) {
+    if (!rideProfile) return { error: 'Route data is not loaded yet' };
+    const spec = ROUTE_EXPORT_FORMATS[format];
+    const name = rideProfile.routeData.name || findRouteName();
+    let content;
+    try {
+      const { points, gradientAt } = rideProfile;
+      const rows = routeExportRows(points, gradientAt, colorSettings(), predictedTimeAt());
+      content = formatRouteExport(format, rows, { name });
+    } catch (e) {
+      return { error: e.message };
+    }
+
+    const base = (name || 'route-' + (session?.routeId ?? findRouteId()))
+      .replace(/[^\w\- ]+/g, '')
+      .trim()
+      .replace(/\s+/g, '-');
+    const filename = `${base || 'route'}.${spec.extension}`;
+    const url = URL.createObjectURL(new Blob([content], { type: spec.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked once the download has had time to start
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    console.log('[Gradient Colors] Exported', filename);
+    return { filename };
+  }
+
+  // Messages from the toolbar popup; every request is answered with the status,
+  // except exports, which answer with the result
+  BTExt.runtime.onMessage(function (message) {
+    switch (message?.type) {
+      case 'export':
+        return exportRide(message.format);
+      case 'getStatus':
+        break;
+      case 'setEnabled':
+        setRecoloringEnabled(message.enabled);
+        break;
+      case 'reprocess':
+        reprocessProfile();
+        break;
+      case 'command':
+        runCommand(message.command);
+        break;
+      default:
+        return undefined;
+    }
+    return getTabStatus();
+  });
+
   // Initialize on load (after loading settings)
   loadSettings().then(function () {
+    watchRouteIdElement();
     initialize();
     setupPolylineObserver();
     setupGradientCircleObserver();
   });
 
-  // Keyboard shortcut: 'g' toggles global/local elevation graph
+  // Run one of the named commands (COMMANDS in gradient-core.js), from a key
+  // binding or a browser shortcut relayed by the background script
+  function runCommand(command) {
+    switch (command) {
+      case 'toggleRecoloring':
+        setRecoloringEnabled(!recoloringEnabled);
+        break;
+      case 'toggleZoom': {
+        const elevPanel =
+          document.querySelector('.elev-graph') ||
+          document.querySelector('.panel-elevation-profile');
+        if (elevPanel) {
+          elevPanel.click();
+        }
+        break;
+      }
+      case 'cyclePalette':
+        cyclePalette();
+        break;
+      // Overlay toggles are saved like the options page checkboxes, so they
+      // stick and reach every open tab
+      case 'toggleLegend':
+        BTExt.storage.sync.set({ showLegend: !settings.showLegend }).catch(() => {});
+        break;
+      case 'toggleTooltip':
+        BTExt.storage.sync.set({ showTooltip: !settings.showTooltip }).catch(() => {});
+        break;
+      case 'toggleSummary':
+        toggleSummaryPanel();
+        break;
+      default:
+        console.warn('[Gradient Colors] Unknown command:', command);
+    }
+  }
+
+  // Make the palette after the active one (in the popup's order) active
+  function cyclePalette() {
+    const keys = paletteKeys(settings.palettes);
+    const next = keys[(keys.indexOf(settings.activePalette) + 1) % keys.length];
+    const palette = findPalette(settings.palettes, next);
+    console.log('[Gradient Colors] Switching to palette', palette.name);
+    BTExt.storage.sync.set(paletteSettingsUpdate(palette, next, settings)).catch(() => {});
+  }
+
+  // In-page key bindings (settings.keyBindings)
   document.addEventListener('keydown', function (e) {
     // Ignore if typing in an input field
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    if (e.target.isContentEditable || e.repeat) return;
 
-    if (e.key.toLowerCase() === settings.toggleKey) {
-      const elevPanel =
-        document.querySelector('.elev-graph') || document.querySelector('.panel-elevation-profile');
-      if (elevPanel) {
-        elevPanel.click();
-      }
+    const combo = keyComboFromEvent(e);
+    const command = combo && commandForKeyCombo(settings.keyBindings, combo);
+    if (command) {
+      runCommand(command);
     }
   });
 
@@ -657,9 +2016,7 @@
     if (observedCircle === circle) return;
 
     // Disconnect old observer if switching to new circle
-    if (gradientCircleObserver) {
-      gradientCircleObserver.disconnect();
-    }
+    teardownGradientCircleObserver();
 
     console.log('[Gradient Colors] Setting up gradient circle observer on GRADE indicator');
     observedCircle = circle;
@@ -702,9 +2059,32 @@
     setTimeout(function () {
       updateGradientCircleColor(circle);
     }, 500);
+
+    // The ride stats usually render after the profile, so the look-ahead
+    // indicator may not have had a GRADE stat to attach to yet
+    updateLookAhead(getRiderDistance());
+  }
+
+  function teardownGradientCircleObserver() {
+    if (gradientCircleObserver) {
+      gradientCircleObserver.disconnect();
+      gradientCircleObserver = null;
+    }
+    observedCircle = null;
+  }
+
+  // Set text color readable on the given fill, with an outline if needed
+  function applyReadableText(elem, fill) {
+    const { color, outline } = readableTextStyle(fill);
+    const shadow = outline
+      ? `-1px -1px 0 ${outline}, 1px -1px 0 ${outline}, -1px 1px 0 ${outline}, 1px 1px 0 ${outline}`
+      : 'none';
+    elem.style.setProperty('color', color, 'important');
+    elem.style.setProperty('text-shadow', shadow, 'important');
   }
 
   function updateGradientCircleColor(circle) {
+    if (!recoloringEnabled) return;
     if (!circle) {
       circle = document.querySelector(
         '.panel-grade .stat-circle-fill, .stat-grade .stat-circle-fill'
@@ -729,12 +2109,8 @@
       // Use setProperty with !important to override CSS variables
       circle.style.setProperty('background-color', color, 'important');
 
-      // Add dark outline to the text for readability on bright backgrounds
-      valueElem.style.setProperty(
-        'text-shadow',
-        '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
-        'important'
-      );
+      // Pick text color (and outline) from the fill's luminance for contrast
+      applyReadableText(valueElem, color);
 
       // Clear guard after a brief delay (allow mutation to fire and be ignored),
       // then verify our color wasn't overwritten during the guard window
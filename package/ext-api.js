@@ -0,0 +1,77 @@
+// Biketerra Gradient Colors - Browser extension API layer
+// Promise-based wrappers over the extension APIs we use, so the same scripts
+// run in Chrome (callback-style chrome.*) and Firefox (promise-based
+// browser.*). Shared by every script as globalThis.BTExt.
+
+(function () {
+  'use strict';
+
+  // Firefox's browser.* already returns promises
+  const promised = typeof globalThis.browser !== 'undefined';
+  const api = promised ? globalThis.browser : globalThis.chrome;
+
+  // Call an API method as a promise; chrome.* callbacks reject on lastError
+  function call(target, method, ...args) {
+    if (promised) return target[method](...args);
+    return new Promise((resolve, reject) => {
+      target[method](...args, function (result) {
+        const error = api.runtime.lastError;
+        if (error) {
+          reject(new Error(error.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+
+  function storageArea(name) {
+    return {
+      // Everything in the area when keys is null or omitted
+      get: (keys = null) => call(api.storage[name], 'get', keys),
+      set: items => call(api.storage[name], 'set', items),
+      remove: keys => call(api.storage[name], 'remove', keys),
+    };
+  }
+
+  const storage = {
+    sync: storageArea('sync'),
+    local: storageArea('local'),
+    // listener(changes, areaName), as with storage.onChanged
+    onChanged(listener) {
+      api.storage.onChanged.addListener(listener);
+    },
+  };
+
+  const runtime = {
+    getURL: path => api.runtime.getURL(path),
+    openOptionsPage: () => call(api.runtime, 'openOptionsPage'),
+    // handler(message, sender) returns the response (or a promise of it), or
+    // undefined to leave the message unanswered
+    onMessage(handler) {
+      api.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+        const response = handler(message, sender);
+        if (response === undefined) return false;
+        Promise.resolve(response).then(sendResponse);
+        return true;
+      });
+    },
+  };
+
+  // Extension pages and the background script only; content scripts have no tabs API
+  const tabs = {
+    query: queryInfo => call(api.tabs, 'query', queryInfo),
+    sendMessage: (tabId, message) => call(api.tabs, 'sendMessage', tabId, message),
+  };
+
+  // Browser keyboard shortcuts (manifest commands); not available to content scripts
+  const commands = {
+    // Resolves with [{ name, description, shortcut }]
+    getAll: () => call(api.commands, 'getAll'),
+    onCommand(listener) {
+      api.commands.onCommand.addListener(listener);
+    },
+  };
+
+  globalThis.BTExt = { storage, runtime, tabs, commands };
+})();
@@ -0,0 +1,1924 @@
+// Biketerra Gradient Colors - Shared core
+// Route data extraction and gradient color math, shared by the content script
+// and the Node tools. Loaded as a classic script (or imported for its side
+// effect from Node) and exposed as globalThis.BTGradientCore.
+
+(function () {
+  'use strict';
+
+  // Version of the stored settings layout; bump it and add a migration below
+  // whenever the layout changes
+  const SETTINGS_VERSION = 4;
+
+  // Default settings
+  const DEFAULT_SETTINGS = {
+    schemaVersion: SETTINGS_VERSION,
+    // Ordered by grade (%); colors are interpolated between neighbouring stops
+    colorStops: [
+      { grade: -21, color: '#713071' },
+      { grade: -14, color: '#0c4ae0' },
+      { grade: -7, color: '#28eaed' },
+      { grade: 0, color: '#24ca26' },
+      { grade: 7, color: '#f1f060' },
+      { grade: 14, color: '#d90916' },
+      { grade: 21, color: '#430102' },
+    ],
+    // How colors blend between stops: 'srgb', 'oklab', 'oklch' or 'stepped'
+    interpolation: 'srgb',
+    // Gradient smoothing: 'window' (centered), 'segments' (fixed blocks),
+    // 'savgol' (Savitzky-Golay) or 'lowpass' (smooth elevation, then difference)
+    smoothingMethod: 'window',
+    smoothingWindow: 100, // meters
+    // In-page key bindings: command id (see COMMANDS) -> key combos such as
+    // 'G' or 'Alt+Shift+P'
+    keyBindings: {
+      toggleRecoloring: [],
+      toggleZoom: ['G'],
+      cyclePalette: [],
+      toggleLegend: [],
+      toggleTooltip: [],
+      toggleSummary: ['I'],
+    },
+    showClimbs: true,
+    climbMinLength: 500,
+    climbMinGain: 30,
+    climbMaxDip: 10,
+    showNextClimb: true,
+    showTooltip: true,
+    showLegend: true,
+    showMinimap: false,
+    showLapMarkers: true,
+    // Look-ahead grade indicator next to the GRADE circle: average grade over
+    // the next N meters, one circle per distance
+    showLookAhead: true,
+    lookAheadDistances: [100, 500],
+    // Rider profile for predicted times and speeds on climbs and the whole route.
+    // Power is a share of FTP ('ftp') or a fixed target ('watts'); cda (m²) and
+    // crr describe the bike and position (see BIKE_PRESETS)
+    showPrediction: true,
+    riderMass: 75, // kg
+    bikeMass: 9, // kg
+    powerMode: 'ftp',
+    ftp: 250, // W
+    ftpPercent: 75,
+    targetPower: 200, // W
+    cda: 0.32,
+    crr: 0.005,
+    // Color band scaling: 'fixed' colors by the stops' grades as set, 'auto'
+    // rescales the stops to each route's own grades (autoScaleColorStops).
+    // routeBandModes overrides the mode per route: [route ID, mode] pairs,
+    // oldest first.
+    bandMode: 'fixed',
+    routeBandModes: [],
+    // Saved named palettes ({ name, colorStops, interpolation }) and the palette
+    // last loaded into colorStops/interpolation ('builtin:<id>' or 'custom:<name>')
+    palettes: [],
+    activePalette: 'builtin:veloviewer',
+  };
+
+  // Seven colors at -21 … +21 % (7 % bands), the layout of the default palette
+  function sevenBandStops(colors) {
+    return colors.map((color, i) => ({ grade: (i - 3) * 7, color }));
+  }
+
+  // Built-in palettes. The color-vision-deficiency palettes avoid the hue pairs
+  // each deficiency confuses and step lightness steadily away from 0 %, so
+  // steepness stays readable even where hues collapse.
+  const BUILTIN_PALETTES = [
+    {
+      id: 'veloviewer',
+      name: 'Veloviewer (default)',
+      colorStops: DEFAULT_SETTINGS.colorStops,
+    },
+    {
+      // Blue descents, orange/brown climbs (red-green safe)
+      id: 'deuteranopia',
+      name: 'Deuteranopia friendly',
+      colorStops: sevenBandStops([
+        '#2d004b',
+        '#2166ac',
+        '#67a9cf',
+        '#e0e0e0',
+        '#fdb863',
+        '#e66101',
+        '#7f3b08',
+      ]),
+    },
+    {
+      // Like deuteranopia, but climbs use yellow to dark brown because reds
+      // look dim to protanopes
+      id: 'protanopia',
+      name: 'Protanopia friendly',
+      colorStops: sevenBandStops([
+        '#08306b',
+        '#2171b5',
+        '#6baed6',
+        '#e0e0e0',
+        '#ffd92f',
+        '#e08214',
+        '#5a3a00',
+      ]),
+    },
+    {
+      // Teal descents, red climbs (blue-yellow safe)
+      id: 'tritanopia',
+      name: 'Tritanopia friendly',
+      colorStops: sevenBandStops([
+        '#003c30',
+        '#01665e',
+        '#5ab4ac',
+        '#e0e0e0',
+        '#f4a582',
+        '#d6604d',
+        '#67001f',
+      ]),
+    },
+  ];
+
+  // Climb categories by score (length in m × average grade in %), hardest first
+  const CLIMB_CATEGORIES = [
+    { name: 'HC', minScore: 80000 },
+    { name: 'Cat 1', minScore: 64000 },
+    { name: 'Cat 2', minScore: 32000 },
+    { name: 'Cat 3', minScore: 16000 },
+    { name: 'Cat 4', minScore: 8000 },
+  ];
+
+  // Sort color stops by grade (stable, so equal grades keep their order)
+  function sortColorStops(colorStops) {
+    return colorStops
+      .map(stop => ({ grade: Number(stop.grade), color: stop.color.toLowerCase() }))
+      .sort((a, b) => a.grade - b.grade);
+  }
+
+  // Migrations from each stored layout version to the next, applied in order.
+  // Each receives the stored values merged over the defaults.
+  const MIGRATIONS = {
+    // 1 -> 2: seven colors spaced `distance` % apart (centered on 0 %) become
+    // explicit grade stops
+    1(settings) {
+      const distance = settings.distance || 7;
+      const middle = (settings.colorStops.length - 1) / 2;
+      settings.colorStops = settings.colorStops.map((color, i) => ({
+        grade: (i - middle) * distance,
+        color,
+      }));
+      delete settings.distance;
+    },
+    // 2 -> 3: named palette library; customized stops are kept as "My palette"
+    2(settings) {
+      const stops = sortColorStops(settings.colorStops);
+      if (JSON.stringify(stops) !== JSON.stringify(DEFAULT_SETTINGS.colorStops)) {
+        const name = 'My palette';
+        settings.palettes = [{ name, colorStops: stops, interpolation: settings.interpolation }];
+        settings.activePalette = 'custom:' + name;
+      }
+    },
+    // 3 -> 4: the single-character toggleKey and summaryKey become key bindings
+    3(settings) {
+      settings.keyBindings = {
+        ...DEFAULT_SETTINGS.keyBindings,
+        toggleZoom: [normalizeKeyCombo(settings.toggleKey || 'g')],
+        toggleSummary: [normalizeKeyCombo(settings.summaryKey || 'i')],
+      };
+      delete settings.toggleKey;
+      delete settings.summaryKey;
+    },
+  };
+
+  // Stored keys older layouts used; removed from storage after migrating
+  const OBSOLETE_SETTINGS = ['distance', 'toggleKey', 'summaryKey'];
+
+  // Layout version of stored settings (saved before versioning if unmarked)
+  function storedVersion(stored) {
+    if (stored.schemaVersion) return stored.schemaVersion;
+    if ('distance' in stored || typeof stored.colorStops?.[0] === 'string') return 1;
+    if (stored.colorStops) return 2;
+    return SETTINGS_VERSION;
+  }
+
+  // Whether stored settings are in an older layout and should be rewritten
+  function needsMigration(stored) {
+    return storedVersion(stored) < SETTINGS_VERSION;
+  }
+
+  // Fill in defaults and convert older stored layouts to the current one
+  function migrateSettings(stored) {
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+    for (let v = storedVersion(stored); v < SETTINGS_VERSION; v++) {
+      MIGRATIONS[v](settings);
+    }
+    settings.schemaVersion = SETTINGS_VERSION;
+    settings.colorStops = sortColorStops(settings.colorStops);
+    // Commands added since the bindings were saved get their default keys
+    settings.keyBindings = { ...DEFAULT_SETTINGS.keyBindings, ...settings.keyBindings };
+    // Band mode overrides saved as an object keyed by route ID become pairs
+    if (!Array.isArray(settings.routeBandModes)) {
+      settings.routeBandModes = Object.entries(settings.routeBandModes || {});
+    }
+    return settings;
+  }
+
+  // Commands the extension can run from a key binding, the popup or a browser
+  // shortcut (manifest commands with the same ids)
+  const COMMANDS = [
+    { id: 'toggleRecoloring', description: 'Turn recoloring on or off for the tab' },
+    { id: 'toggleZoom', description: 'Switch the elevation panel between global and local zoom' },
+    { id: 'cyclePalette', description: 'Switch to the next palette' },
+    { id: 'toggleLegend', description: 'Show or hide the color legend' },
+    { id: 'toggleTooltip', description: 'Show or hide the profile tooltip' },
+    { id: 'toggleSummary', description: 'Open or close the route summary' },
+  ];
+
+  // Keys Biketerra's ride and spectate pages handle themselves; bindings on
+  // them are flagged on the options page
+  const GAME_KEYS = [
+    { combo: 'ArrowLeft', action: 'rider and camera controls' },
+    { combo: 'ArrowRight', action: 'rider and camera controls' },
+    { combo: 'ArrowUp', action: 'rider and camera controls' },
+    { combo: 'ArrowDown', action: 'rider and camera controls' },
+    { combo: 'Space', action: 'game controls' },
+    { combo: 'Enter', action: 'chat' },
+    { combo: 'Escape', action: 'menus' },
+  ];
+
+  // Key combos are written modifiers first, in this order, then one key:
+  // 'G', 'Shift+F2', 'Ctrl+Alt+ArrowUp'
+  const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+  const MODIFIER_ALIASES = {
+    ctrl: 'Ctrl',
+    control: 'Ctrl',
+    macctrl: 'Ctrl',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+    meta: 'Meta',
+    cmd: 'Meta',
+    command: 'Meta',
+  };
+  // Key names browsers use in manifest shortcuts, as KeyboardEvent.key names
+  const KEY_ALIASES = {
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    comma: ',',
+    period: '.',
+    space: 'Space',
+    esc: 'Escape',
+    ins: 'Insert',
+    del: 'Delete',
+  };
+  const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'OS'];
+
+  function formatKeyCombo(modifiers, key) {
+    return [...MODIFIERS.filter(m => modifiers.includes(m)), key].join('+');
+  }
+
+  // Canonical form of a key combo written by hand or by a browser ('ctrl+shift+p',
+  // 'Alt+Shift+Up'), or null if it has no key
+  function normalizeKeyCombo(text) {
+    const parts = String(text)
+      .split('+')
+      .map(part => part.trim())
+      .filter(Boolean);
+    const key = parts.pop();
+    if (!key) return null;
+    const modifiers = [];
+    for (const part of parts) {
+      const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+      if (!modifier) return null;
+      modifiers.push(modifier);
+    }
+    const alias = KEY_ALIASES[key.toLowerCase()];
+    const name =
+      alias || (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+    return formatKeyCombo(modifiers, name);
+  }
+
+  // Key combo of a keydown event, or null while only modifiers are pressed.
+  // Letters and digits go by the character typed, or by the physical key when
+  // a modifier turns it into another character (Alt+G giving '©' on a Mac).
+  function keyComboFromEvent(e) {
+    if (MODIFIER_KEYS.includes(e.key)) return null;
+    let key;
+    const physical = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '');
+    if (/^[a-z0-9]$/i.test(e.key)) {
+      key = e.key.toUpperCase();
+    } else if (physical) {
+      key = physical[1] || physical[2];
+    } else if (e.key === ' ') {
+      key = 'Space';
+    } else {
+      key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    }
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+    if (e.metaKey) modifiers.push('Meta');
+    return formatKeyCombo(modifiers, key);
+  }
+
+  // Command bound to a key combo, or null. A printable key typed with Shift also
+  // matches its binding without Shift, so 'H' fires on Shift+H and '?' (typed
+  // as Shift+?) still matches a bare '?'.
+  function commandForKeyCombo(keyBindings, combo) {
+    const find = c => COMMANDS.find(cmd => keyBindings[cmd.id]?.includes(c))?.id ?? null;
+    const command = find(combo);
+    if (command) return command;
+    const parts = combo.split('+');
+    const key = parts.pop() || '+';
+    if (key.length !== 1 || !parts.includes('Shift')) return null;
+    const modifiers = parts.filter(m => m !== 'Shift');
+    return find(formatKeyCombo(modifiers, key));
+  }
+
+  // Problems with a set of key bindings: { command, combo, kind, detail } for a
+  // combo bound to two commands ('duplicate', detail = the other command), one
+  // Biketerra uses ('game', detail = what for) or one that is also the browser
+  // shortcut of another command ('browser', detail = that command).
+  // browserShortcuts maps command ids to the shortcuts the browser has assigned.
+  function keyBindingConflicts(keyBindings, browserShortcuts = {}) {
+    const conflicts = [];
+    const browserCombos = Object.entries(browserShortcuts)
+      .map(([command, shortcut]) => [command, shortcut && normalizeKeyCombo(shortcut)])
+      .filter(([, combo]) => combo);
+    for (const { id } of COMMANDS) {
+      for (const combo of keyBindings[id] || []) {
+        for (const other of COMMANDS) {
+          if (other.id !== id && keyBindings[other.id]?.includes(combo)) {
+            conflicts.push({ command: id, combo, kind: 'duplicate', detail: other.id });
+          }
+        }
+        const game = GAME_KEYS.find(k => k.combo === combo);
+        if (game) conflicts.push({ command: id, combo, kind: 'game', detail: game.action });
+        for (const [command, browserCombo] of browserCombos) {
+          if (command !== id && browserCombo === combo) {
+            conflicts.push({ command: id, combo, kind: 'browser', detail: command });
+          }
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  const INTERPOLATION_MODES = ['srgb', 'oklab', 'oklch', 'stepped'];
+  const MAX_COLOR_STOPS = 16;
+
+  // activePalette keys of every palette in picker order: saved palettes, then
+  // the built-in ones
+  function paletteKeys(palettes) {
+    return [
+      ...palettes.map(p => 'custom:' + p.name),
+      ...BUILTIN_PALETTES.map(p => 'builtin:' + p.id),
+    ];
+  }
+
+  // Settings update that makes a palette the active one. A palette's toggle key
+  // (from palettes shared before key bindings) becomes the zoom binding.
+  function paletteSettingsUpdate(palette, key, settings) {
+    const update = {
+      colorStops: palette.colorStops,
+      interpolation: palette.interpolation || 'srgb',
+      activePalette: key,
+    };
+    if (palette.toggleKey) {
+      update.keyBindings = {
+        ...settings.keyBindings,
+        toggleZoom: [normalizeKeyCombo(palette.toggleKey)],
+      };
+    }
+    return update;
+  }
+
+  // Saved or built-in palette for an activePalette key ('custom:<name>' or
+  // 'builtin:<id>'), or null if there is none
+  function findPalette(palettes, key) {
+    if (key.startsWith('custom:')) {
+      const name = key.slice('custom:'.length);
+      return palettes.find(p => p.name === name) || null;
+    }
+    return BUILTIN_PALETTES.find(p => 'builtin:' + p.id === key) || null;
+  }
+
+  // Validate and normalize a palette from an import or share code. Throws an
+  // Error describing the first problem found.
+  function validatePalette(palette) {
+    if (!palette || typeof palette !== 'object') throw new Error('Not a palette');
+    const name = String(palette.name || '').trim();
+    if (!name) throw new Error('Palette has no name');
+    const stops = palette.colorStops;
+    if (!Array.isArray(stops) || stops.length < 2 || stops.length > MAX_COLOR_STOPS) {
+      throw new Error(`A palette needs 2 to ${MAX_COLOR_STOPS} color stops`);
+    }
+    for (const stop of stops) {
+      if (!Number.isFinite(Number(stop?.grade)) || !/^#[0-9a-f]{6}$/i.test(stop?.color)) {
+        throw new Error('Invalid color stop: ' + JSON.stringify(stop));
+      }
+    }
+    const interpolation = palette.interpolation || 'srgb';
+    if (!INTERPOLATION_MODES.includes(interpolation)) {
+      throw new Error('Unknown interpolation mode: ' + interpolation);
+    }
+    const result = { name: name.slice(0, 40), colorStops: sortColorStops(stops), interpolation };
+    if (palette.toggleKey !== undefined) {
+      if (typeof palette.toggleKey !== 'string' || palette.toggleKey.length !== 1) {
+        throw new Error('Invalid toggle key');
+      }
+      result.toggleKey = palette.toggleKey.toLowerCase();
+    }
+    return result;
+  }
+
+  // Share codes: "BTGC-" + base64url of compact JSON
+  // { v, n: name, i: interpolation, k: toggleKey, s: [grade, 'rrggbb', ...] }
+  const SHARE_CODE_PREFIX = 'BTGC-';
+
+  function base64UrlEncode(str) {
+    let binary = '';
+    for (const byte of new TextEncoder().encode(str)) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlDecode(str) {
+    const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  }
+
+  function encodePaletteCode(palette) {
+    const compact = {
+      v: SETTINGS_VERSION,
+      n: palette.name,
+      i: palette.interpolation,
+      k: palette.toggleKey,
+      s: palette.colorStops.flatMap(stop => [stop.grade, stop.color.slice(1)]),
+    };
+    return SHARE_CODE_PREFIX + base64UrlEncode(JSON.stringify(compact));
+  }
+
+  // Decode a share code into a validated palette (throws on malformed codes)
+  function decodePaletteCode(code) {
+    const trimmed = String(code).trim();
+    if (!trimmed.startsWith(SHARE_CODE_PREFIX)) throw new Error('Not a palette share code');
+    let compact;
+    try {
+      compact = JSON.parse(base64UrlDecode(trimmed.slice(SHARE_CODE_PREFIX.length)));
+    } catch {
+      throw new Error('Share code is damaged or incomplete');
+    }
+    if (!compact || typeof compact !== 'object' || Array.isArray(compact)) {
+      throw new Error('Share code is damaged or incomplete');
+    }
+    if (compact.v > SETTINGS_VERSION) {
+      throw new Error('Share code is from a newer version of the extension');
+    }
+    if (!Array.isArray(compact.s) || compact.s.length % 2 !== 0) {
+      throw new Error('Share code has no color stops');
+    }
+    const colorStops = [];
+    for (let i = 0; i < compact.s.length; i += 2) {
+      colorStops.push({ grade: compact.s[i], color: '#' + compact.s[i + 1] });
+    }
+    return validatePalette({
+      name: compact.n,
+      interpolation: compact.i,
+      toggleKey: compact.k,
+      colorStops,
+    });
+  }
+
+  const EARTH_RADIUS = 6371000; // meters
+
+  // Build the result object shared by both extraction paths
+  function buildRouteData(totalDistance, routePoints, source, name) {
+    // A loop rather than Math.min(...), which overflows the stack on very long routes
+    let minElev = Infinity,
+      maxElev = -Infinity;
+    for (const p of routePoints) {
+      minElev = Math.min(minElev, p.elevation);
+      maxElev = Math.max(maxElev, p.elevation);
+    }
+    return {
+      totalDistance,
+      minElev,
+      maxElev,
+      routePoints,
+      source,
+      name,
+    };
+  }
+
+  // Extract route elevation/distance data from a ride/__data.json response.
+  // Returns null if the response has no usable route points or is malformed.
+  function extractRouteData(data) {
+    if (!Array.isArray(data?.nodes)) return null;
+    try {
+      return readRouteData(data);
+    } catch (e) {
+      console.error('[Gradient Colors] Error extracting route data:', e);
+      return null;
+    }
+  }
+
+  function readRouteData(data) {
+    // Find the node that contains route_processed (high-precision geometry)
+    const node = data.nodes.find(n => n?.data?.[0]?.route_processed != null);
+    if (!node) return null;
+    const d = node.data;
+    const refs = d[0];
+
+    // Route name, if the route record carries one
+    const routeSchema = d[refs.route];
+    const name = typeof d[routeSchema?.name] === 'string' ? d[routeSchema.name] : null;
+
+    // simple_route: JSON string of [lat, lng, elev, distance] quartets. A
+    // malformed one only costs the coordinates when route_processed is there.
+    const simpleRouteStr = routeSchema ? d[routeSchema.simple_route] : null;
+    let quartets = null;
+    if (typeof simpleRouteStr === 'string') {
+      try {
+        quartets = JSON.parse(simpleRouteStr);
+      } catch (e) {
+        console.warn('[Gradient Colors] Could not parse simple_route:', e.message);
+      }
+    }
+    if (!Array.isArray(quartets)) quartets = null;
+
+    // Prefer route_processed: [x, y, z] triples in cm where y=elevation,
+    // x=east offset, z=south offset from geoMetrics median. Distance is
+    // computed as cumulative horizontal displacement between consecutive nodes.
+    // Points keep x/z (in meters) for plan-view drawing.
+    const rpSchema = d[refs.route_processed];
+    if (rpSchema) {
+      const totalDistance = d[rpSchema.distance]; // meters
+      const nodeRefs = d[rpSchema.nodes];
+
+      let cumDist = 0,
+        prevX = null,
+        prevZ = null;
+      const routePoints = [];
+      for (const nodeRef of nodeRefs) {
+        const n = d[nodeRef];
+        const x = d[n[0]],
+          y = d[n[1]],
+          z = d[n[2]];
+        if (prevX !== null) {
+          const dx = x - prevX,
+            dz = z - prevZ;
+          cumDist += Math.sqrt(dx * dx + dz * dz);
+        }
+        routePoints.push({ distance: cumDist / 100, elevation: y / 100, x: x / 100, z: z / 100 });
+        prevX = x;
+        prevZ = z;
+      }
+
+      if (routePoints.length > 0) {
+        if (quartets?.length > 1) addCoordinates(routePoints, quartets);
+        return buildRouteData(totalDistance, routePoints, 'route_processed', name);
+      }
+    }
+
+    // Fall back to simple_route. x/z are projected from lat/lng relative to the
+    // first point.
+    if (quartets) {
+      const totalDistance = d[routeSchema.distance] / 100;
+      const [lat0, lng0] = quartets[0] || [0, 0];
+      const metersPerDegree = (Math.PI / 180) * EARTH_RADIUS;
+      const lngScale = Math.cos((lat0 * Math.PI) / 180);
+      const routePoints = quartets.map(p => ({
+        distance: p[3],
+        elevation: p[2],
+        x: (p[1] - lng0) * lngScale * metersPerDegree,
+        z: (lat0 - p[0]) * metersPerDegree,
+        lat: p[0],
+        lng: p[1],
+      }));
+      if (routePoints.length > 0) {
+        return buildRouteData(totalDistance, routePoints, 'simple_route', name);
+      }
+    }
+
+    return null;
+  }
+
+  // Give route_processed points lat/lng from the simple_route quartets. The two
+  // measure distance slightly differently, so positions are matched by the
+  // fraction of the route covered.
+  function addCoordinates(routePoints, quartets) {
+    const rpEnd = routePoints[routePoints.length - 1].distance;
+    const simpleEnd = quartets[quartets.length - 1][3];
+    let j = 0;
+    for (const p of routePoints) {
+      const target = rpEnd > 0 ? (p.distance / rpEnd) * simpleEnd : 0;
+      while (j < quartets.length - 2 && quartets[j + 1][3] < target) j++;
+      const [lat1, lng1, , d1] = quartets[j];
+      const [lat2, lng2, , d2] = quartets[j + 1];
+      const t = d2 > d1 ? Math.max(0, Math.min(1, (target - d1) / (d2 - d1))) : 0;
+      p.lat = lat1 + (lat2 - lat1) * t;
+      p.lng = lng1 + (lng2 - lng1) * t;
+    }
+  }
+
+  // Interpolate elevation at a given distance using route points
+  function interpolateElevation(routePoints, distance) {
+    return interpolateField(routePoints, distance, 'elevation');
+  }
+
+  // Interpolate the plan-view position ({ x, z } in meters) at a given distance
+  function interpolatePosition(routePoints, distance) {
+    return {
+      x: interpolateField(routePoints, distance, 'x'),
+      z: interpolateField(routePoints, distance, 'z'),
+    };
+  }
+
+  // Linearly interpolate one route point field at a given distance
+  function interpolateField(routePoints, distance, field) {
+    if (routePoints.length === 0) return 0;
+    if (distance <= routePoints[0].distance) return routePoints[0][field];
+    if (distance >= routePoints[routePoints.length - 1].distance) {
+      return routePoints[routePoints.length - 1][field];
+    }
+
+    // Binary search for the right segment
+    let lo = 0,
+      hi = routePoints.length - 1;
+    while (lo < hi - 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (routePoints[mid].distance <= distance) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+
+    const p1 = routePoints[lo];
+    const p2 = routePoints[hi];
+    const t = (distance - p1.distance) / (p2.distance - p1.distance);
+    return p1[field] + t * (p2[field] - p1[field]);
+  }
+
+  // Compute gradient (%) at a given distance using route points
+  // Uses a small window around the point to get a smoothed gradient
+  function computeGradientAtDistance(routePoints, distance, totalDistance, windowSize = 50) {
+    // Use a window of +/- windowSize meters (or available range)
+    const d1 = Math.max(0, distance - windowSize);
+    const d2 = Math.min(totalDistance, distance + windowSize);
+
+    const e1 = interpolateElevation(routePoints, d1);
+    const e2 = interpolateElevation(routePoints, d2);
+
+    const deltaD = d2 - d1;
+    if (deltaD <= 0) return 0;
+
+    return ((e2 - e1) / deltaD) * 100;
+  }
+
+  // Elevations resampled every `step` meters from 0 to totalDistance
+  function resampleElevations(routePoints, totalDistance, step) {
+    const n = Math.floor(totalDistance / step) + 1;
+    const elevs = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      elevs[i] = interpolateElevation(routePoints, Math.min(i * step, totalDistance));
+    }
+    return elevs;
+  }
+
+  // Sampled gradients ({ grades: Float32Array, step }) every few meters along
+  // the route, for a gridSampler computed elsewhere (e.g. in a worker)
+  function gradientGrid(routePoints, totalDistance, options = {}) {
+    const gradientAt = createGradientSampler(routePoints, totalDistance, options);
+    // 5 m or finer for short windows, coarser only on extremely long rides
+    const windowSize = Math.max(1, options.windowSize ?? 100);
+    const step = Math.max(1, Math.min(5, windowSize / 4), totalDistance / 1e6);
+    const n = Math.floor(totalDistance / step) + 2;
+    const grades = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      grades[i] = gradientAt(Math.min(i * step, totalDistance));
+    }
+    return { grades, step };
+  }
+
+  // Sampler that linearly interpolates gradients precomputed on a fixed grid
+  function gridSampler(grades, step) {
+    return function (distance) {
+      const pos = Math.max(0, Math.min(grades.length - 1, distance / step));
+      const i = Math.min(grades.length - 2, Math.floor(pos));
+      if (i < 0) return grades[0] || 0;
+      return grades[i] + (grades[i + 1] - grades[i]) * (pos - i);
+    };
+  }
+
+  // Savitzky-Golay first derivative (quadratic fit over 2m+1 samples). For a
+  // quadratic the derivative at the center reduces to sum(k*y_k) / sum(k^2).
+  function savitzkyGolayGrades(elevs, step, m) {
+    const grades = new Float64Array(elevs.length);
+    for (let i = 0; i < elevs.length; i++) {
+      // Shrink the window symmetrically near the ends
+      const h = Math.min(m, i, elevs.length - 1 - i);
+      let num = 0,
+        den = 0;
+      for (let k = 1; k <= h; k++) {
+        num += k * (elevs[i + k] - elevs[i - k]);
+        den += 2 * k * k;
+      }
+      if (den > 0) {
+        grades[i] = (num / den / step) * 100;
+      } else if (elevs.length > 1) {
+        // Endpoints: one-sided difference
+        const rise = i === 0 ? elevs[1] - elevs[0] : elevs[i] - elevs[i - 1];
+        grades[i] = (rise / step) * 100;
+      }
+    }
+    return grades;
+  }
+
+  // Moving-average low-pass over 2m+1 samples, then central differences.
+  // The ends are padded by point reflection so the average keeps the slope there.
+  function lowPassGrades(elevs, step, m) {
+    const n = elevs.length;
+    const at = j => {
+      if (j < 0) return 2 * elevs[0] - elevs[Math.min(n - 1, -j)];
+      if (j > n - 1) return 2 * elevs[n - 1] - elevs[Math.max(0, 2 * (n - 1) - j)];
+      return elevs[j];
+    };
+    const smoothed = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (let k = -m; k <= m; k++) sum += at(i + k);
+      smoothed[i] = sum / (2 * m + 1);
+    }
+    const grades = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      const lo = Math.max(0, i - 1);
+      const hi = Math.min(n - 1, i + 1);
+      grades[i] = hi > lo ? ((smoothed[hi] - smoothed[lo]) / ((hi - lo) * step)) * 100 : 0;
+    }
+    return grades;
+  }
+
+  // Build a function distance -> smoothed gradient (%) for the route.
+  // windowSize is the full smoothing width in meters (block size for 'segments').
+  function createGradientSampler(routePoints, totalDistance, options = {}) {
+    const { method = 'window', windowSize = 100 } = options;
+    const size = Math.max(1, windowSize);
+
+    if (method === 'segments') {
+      // Constant gradient over consecutive fixed-length blocks from the start
+      return function (distance) {
+        const block = Math.min(Math.floor(distance / size), Math.ceil(totalDistance / size) - 1);
+        const d1 = Math.max(0, block * size);
+        const d2 = Math.min(totalDistance, d1 + size);
+        if (d2 <= d1) return 0;
+        const e1 = interpolateElevation(routePoints, d1);
+        const e2 = interpolateElevation(routePoints, d2);
+        return ((e2 - e1) / (d2 - d1)) * 100;
+      };
+    }
+
+    if (method === 'savgol' || method === 'lowpass') {
+      // Work on an evenly spaced grid fine enough for the window
+      const step = Math.max(1, Math.min(10, size / 4));
+      const elevs = resampleElevations(routePoints, totalDistance, step);
+      const m = Math.max(1, Math.round(size / 2 / step));
+      const grades =
+        method === 'savgol' ? savitzkyGolayGrades(elevs, step, m) : lowPassGrades(elevs, step, m);
+      return gridSampler(grades, step);
+    }
+
+    return function (distance) {
+      return computeGradientAtDistance(routePoints, distance, totalDistance, size / 2);
+    };
+  }
+
+  // Color stops ({ offset, color }, offsets along the profile 0-1) for filling
+  // an elevation profile with a single linear gradient. breaks are the sorted
+  // positions (0-1) of the data points; each interval between them gets the
+  // color at its center, colorAt(position). Denser data than maxStops is
+  // resampled evenly, and runs of one color keep only their two ends.
+  function profileGradientStops(breaks, colorAt, maxStops) {
+    if (breaks.length - 1 > maxStops) {
+      const first = breaks[0];
+      const last = breaks[breaks.length - 1];
+      breaks = [];
+      for (let i = 0; i <= maxStops; i++) breaks.push(first + ((last - first) * i) / maxStops);
+    }
+
+    const stops = [];
+    for (let i = 0; i < breaks.length - 1; i++) {
+      const offset = (breaks[i] + breaks[i + 1]) / 2;
+      const color = colorAt(offset);
+      const n = stops.length;
+      if (n >= 2 && stops[n - 1].color === color && stops[n - 2].color === color) {
+        stops[n - 1].offset = offset;
+      } else {
+        stops.push({ offset, color });
+      }
+    }
+    return stops;
+  }
+
+  // Average gradient (%) between two distances: net climb over the distance
+  function averageGradient(routePoints, d1, d2) {
+    if (d2 <= d1) return 0;
+    const rise = interpolateElevation(routePoints, d2) - interpolateElevation(routePoints, d1);
+    return (rise / (d2 - d1)) * 100;
+  }
+
+  // Sampler options from settings
+  function smoothingOptions(settings) {
+    return { method: settings.smoothingMethod, windowSize: settings.smoothingWindow };
+  }
+
+  // Steepest gradient (%) between two distances, sampled every `step` meters
+  function maxGradientInRange(gradientAt, d1, d2, step = 10) {
+    let maxGrade = -Infinity;
+    for (let d = d1; d < d2; d += step) {
+      maxGrade = Math.max(maxGrade, gradientAt(d));
+    }
+    return Math.max(maxGrade, gradientAt(d2));
+  }
+
+  // Profile window matching: which stretch of the route an elevation profile
+  // line shows. Shapes are compared by correlation at MATCH_SAMPLES positions,
+  // so neither the vertical scale nor the offset of the drawing matters.
+  const MATCH_SAMPLES = 64;
+  const FULL_ROUTE_MATCH = 0.98; // whole-route fit accepted without searching
+  const MIN_WINDOW_MATCH = 0.9; // weakest fit accepted for a partial window
+
+  // Pearson correlation of two equally long arrays (0 if either is flat)
+  function correlation(a, b) {
+    const n = a.length;
+    let meanA = 0,
+      meanB = 0;
+    for (let i = 0; i < n; i++) {
+      meanA += a[i] / n;
+      meanB += b[i] / n;
+    }
+    let cov = 0,
+      varA = 0,
+      varB = 0;
+    for (let i = 0; i < n; i++) {
+      const da = a[i] - meanA,
+        db = b[i] - meanB;
+      cov += da * db;
+      varA += da * da;
+      varB += db * db;
+    }
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+  }
+
+  // Find the stretch of the route (in the direction given) that an SVG profile
+  // line spanning x 0-1 shows, e.g. when the panel is zoomed in around the
+  // rider. Returns { start, span, score } in meters, the whole route when that
+  // fits, or null when nothing fits well. Options:
+  //   riderDistance - only consider windows containing the rider
+  //   previous      - last window ({ start, span }); searched first, so the
+  //                   match follows a scrolling window and keeps its zoom
+  //   minSpan       - shortest window considered (meters)
+  //   fromStart     - only windows starting at distance 0 (how long a stretch
+  //                   from the start the profile shows)
+  function alignProfileWindow(svgPoints, routePoints, totalDistance, options = {}) {
+    const { riderDistance = null, previous = null, fromStart = false } = options;
+    const minSpan = Math.min(totalDistance, options.minSpan ?? 500);
+    if (svgPoints.length < 2 || routePoints.length < 2 || totalDistance <= 0) return null;
+
+    // SVG y points down, so elevation is -y
+    // Both sides are compared as bin averages (MATCH_SAMPLES equal bins), so
+    // detail finer than a bin cannot alias into the match
+    const svgProfile = svgPoints.map(p => ({ distance: p.x, elevation: -p.y }));
+    const shape = new Float64Array(MATCH_SAMPLES);
+    const subSamples = 8;
+    for (let i = 0; i < MATCH_SAMPLES; i++) {
+      for (let k = 0; k < subSamples; k++) {
+        const x = (i + (k + 0.5) / subSamples) / MATCH_SAMPLES;
+        shape[i] += interpolateElevation(svgProfile, x) / subSamples;
+      }
+    }
+
+    // Route elevations on a fine grid with prefix sums, so the average over any
+    // stretch costs two lookups
+    const gridStep = Math.max(1, totalDistance / 8192);
+    const grid = resampleElevations(routePoints, totalDistance, gridStep);
+    const prefix = new Float64Array(grid.length + 1);
+    for (let i = 0; i < grid.length; i++) prefix[i + 1] = prefix[i] + grid[i];
+    const sumTo = d => {
+      const pos = Math.max(0, Math.min(grid.length, d / gridStep));
+      const j = Math.min(grid.length - 1, Math.floor(pos));
+      return prefix[j] + grid[j] * (pos - j);
+    };
+    const windowElevs = new Float64Array(MATCH_SAMPLES);
+    const score = (start, span) => {
+      const bin = span / MATCH_SAMPLES;
+      for (let i = 0; i < MATCH_SAMPLES; i++) {
+        const d1 = start + i * bin;
+        windowElevs[i] = (sumTo(d1 + bin) - sumTo(d1)) / (bin / gridStep);
+      }
+      return correlation(shape, windowElevs);
+    };
+
+    const full = score(0, totalDistance);
+    if (full >= FULL_ROUTE_MATCH) {
+      return { start: 0, span: totalDistance, score: full };
+    }
+
+    // A window clamped to the route, or null if it leaves out the rider
+    const candidate = (start, span) => {
+      span = Math.max(minSpan, Math.min(totalDistance, span));
+      start = fromStart ? 0 : Math.max(0, Math.min(totalDistance - span, start));
+      if (riderDistance !== null && (riderDistance < start || riderDistance > start + span)) {
+        return null;
+      }
+      return { start, span, score: score(start, span) };
+    };
+
+    // Coarse scan over the given window lengths
+    const scan = spans => {
+      const found = [];
+      for (const span of spans) {
+        const step = fromStart ? Infinity : span / 24;
+        for (let start = 0; start <= totalDistance - span + span / 48; start += step) {
+          const c = candidate(start, span);
+          if (c) found.push(c);
+        }
+      }
+      return found;
+    };
+
+    // Hill-climb from a coarse match, moving the window's center and scaling
+    // its length around the center; steps shrink whenever no move helps
+    const refine = c => {
+      let best = c;
+      let centerStep = c.span / 24;
+      let spanFactor = 0.08;
+      for (let k = 0; k < 40 && centerStep > 1; k++) {
+        const center = best.start + best.span / 2;
+        let improved = false;
+        for (const [move, scale] of [
+          [-1, 0],
+          [1, 0],
+          [0, -1],
+          [0, 1],
+        ]) {
+          const span = best.span * (1 + scale * spanFactor);
+          const n = candidate(center + move * centerStep - span / 2, span);
+          if (n && n.score > best.score) {
+            best = n;
+            improved = true;
+          }
+        }
+        if (!improved) {
+          centerStep /= 2;
+          spanFactor /= 2;
+        }
+      }
+      return best;
+    };
+
+    // The true window can sit in a narrow peak between coarse samples, so
+    // refine several of the best coarse matches rather than just the top one
+    // (skipping near-duplicates of ones already picked)
+    const bestOf = found => {
+      const picked = [];
+      for (const c of found.sort((a, b) => b.score - a.score)) {
+        if (picked.length === 8) break;
+        const similar = picked.some(
+          p => Math.abs(p.start - c.start) < p.span / 4 && Math.abs(Math.log(p.span / c.span)) < 0.2
+        );
+        if (!similar) picked.push(c);
+      }
+      let best = null;
+      for (const c of picked) {
+        const r = refine(c);
+        if (!best || r.score > best.score) best = r;
+      }
+      return best;
+    };
+
+    // Near the previous zoom first; everything from minSpan up if that fails
+    let best = previous ? bestOf(scan([0.9, 1, 1.1].map(f => previous.span * f))) : null;
+    if (!best || best.score < FULL_ROUTE_MATCH) {
+      const spans = [];
+      for (let span = minSpan; span < totalDistance; span *= 1.15) spans.push(span);
+      spans.push(totalDistance);
+      const found = bestOf(scan(spans));
+      if (found && (!best || found.score > best.score)) best = found;
+    }
+    if (!best) return null;
+
+    return best.score >= MIN_WINDOW_MATCH ? best : null;
+  }
+
+  // How many laps of a route (in the direction given) an SVG profile line
+  // spanning x 0-1 shows, for lap races where the course repeats. The last lap
+  // may be partial. Returns { laps, score }, or null unless more than one lap fits.
+  function detectLapCount(svgPoints, routePoints, lapDistance, maxLaps = 12) {
+    if (routePoints.length < 2 || lapDistance <= 0) return null;
+    const tiled = tileRoutePoints(routePoints, lapDistance, maxLaps);
+    const match = alignProfileWindow(svgPoints, tiled, lapDistance * maxLaps, {
+      fromStart: true,
+      minSpan: lapDistance,
+    });
+    if (!match || match.score < FULL_ROUTE_MATCH) return null;
+
+    // Whole laps unless clearly partway through one
+    let laps = match.span / lapDistance;
+    if (Math.abs(laps - Math.round(laps)) < 0.02) laps = Math.round(laps);
+    return laps > 1 ? { laps, score: match.score } : null;
+  }
+
+  // Route points as one typed array per field ({ columns, length }), which
+  // workers can hand over without copying
+  function packRoutePoints(routePoints) {
+    const columns = {};
+    for (const key of Object.keys(routePoints[0] || {})) {
+      const column = new Float64Array(routePoints.length);
+      routePoints.forEach((p, i) => (column[i] = p[key]));
+      columns[key] = column;
+    }
+    return { columns, length: routePoints.length };
+  }
+
+  function unpackRoutePoints({ columns, length }) {
+    const keys = Object.keys(columns);
+    const routePoints = new Array(length);
+    for (let i = 0; i < length; i++) {
+      const point = {};
+      for (const key of keys) point[key] = columns[key][i];
+      routePoints[i] = point;
+    }
+    return routePoints;
+  }
+
+  // Route direction from an SVG profile line assumed to show the whole route:
+  // 'forward' or 'reverse'. Compares elevations where the two directions
+  // differ most.
+  function detectRouteDirection(svgPoints, routePoints, totalDistance) {
+    const asymmetricPositions = findAsymmetricPositions(routePoints, totalDistance);
+
+    // If route is nearly symmetrical (max difference < 1m), direction doesn't matter
+    if (asymmetricPositions[0].diff < 1) return 'forward';
+
+    // Take top 5 most asymmetric positions as sample points
+    const sampleXs = asymmetricPositions.slice(0, 5).map(p => p.x);
+
+    // SVG y points down, so elevation is -y
+    const svgProfile = svgPoints.map(p => ({ distance: p.x, elevation: -p.y }));
+    const svgElevs = sampleXs.map(x => interpolateElevation(svgProfile, x));
+    const fwdElevs = sampleXs.map(x => interpolateElevation(routePoints, x * totalDistance));
+    // Reverse route: x=0 maps to end of route
+    const revElevs = sampleXs.map(x => interpolateElevation(routePoints, (1 - x) * totalDistance));
+
+    // Normalize all arrays for comparison (removes scale differences)
+    const svgNorm = normalizeArray(svgElevs);
+    const fwdError = sumSquaredError(svgNorm, normalizeArray(fwdElevs));
+    const revError = sumSquaredError(svgNorm, normalizeArray(revElevs));
+    return fwdError <= revError ? 'forward' : 'reverse';
+  }
+
+  // Find positions where forward and reverse elevations differ most
+  // Returns array of {x, diff} sorted by difference (largest first)
+  function findAsymmetricPositions(routePoints, totalDistance, numCandidates = 100) {
+    const candidates = [];
+    for (let i = 1; i < numCandidates; i++) {
+      const x = i / numCandidates;
+      const fwdElev = interpolateElevation(routePoints, x * totalDistance);
+      const revElev = interpolateElevation(routePoints, (1 - x) * totalDistance);
+      candidates.push({ x, diff: Math.abs(fwdElev - revElev) });
+    }
+    return candidates.sort((a, b) => b.diff - a.diff);
+  }
+
+  // Compute sum of squared errors between two arrays
+  function sumSquaredError(arr1, arr2) {
+    let sum = 0;
+    for (let i = 0; i < arr1.length; i++) {
+      const diff = arr1[i] - arr2[i];
+      sum += diff * diff;
+    }
+    return sum;
+  }
+
+  // Normalize array to 0-1 range for comparison
+  function normalizeArray(arr) {
+    const min = arr.reduce((a, b) => Math.min(a, b), Infinity);
+    const max = arr.reduce((a, b) => Math.max(a, b), -Infinity);
+    const range = max - min || 1;
+    return arr.map(v => (v - min) / range);
+  }
+
+  // Route points in riding direction, repeated for the number of laps
+  function ridePoints(routePoints, lapDistance, isReversed, laps) {
+    const points = isReversed ? reverseRoutePoints(routePoints, lapDistance) : routePoints;
+    return laps > 1 ? tileRoutePoints(points, lapDistance, laps) : points;
+  }
+
+  // Work out the direction, the number of laps and the stretch of the ride an
+  // SVG profile line shows: normally the whole ride, in local zoom a window
+  // around the rider. Returns { isReversed, laps, start, span, score? }.
+  // Options:
+  //   riderDistance - rider's distance along the ride, if known
+  //   previous      - last result for this route; its laps still apply while
+  //                   zoomed in and its window is searched first
+  //   maxLaps       - longest lap race looked for
+  function alignRide(svgPoints, routePoints, lapDistance, options = {}) {
+    const { riderDistance = null, previous = null, maxLaps = 12 } = options;
+    const laps = previous ? previous.laps : 1;
+    const rideDistance = lapDistance * laps;
+
+    const tryDirection = isReversed => {
+      const points = ridePoints(routePoints, lapDistance, isReversed, laps);
+      // Start from the last window so a scrolling local view keeps its zoom
+      const last = previous?.isReversed === isReversed ? previous : null;
+      const match =
+        alignProfileWindow(svgPoints, points, rideDistance, { riderDistance, previous: last }) ||
+        (riderDistance !== null &&
+          alignProfileWindow(svgPoints, points, rideDistance, { previous: last }));
+      return match
+        ? { isReversed, laps, start: match.start, span: match.span, score: match.score }
+        : null;
+    };
+
+    const direction = detectRouteDirection(svgPoints, routePoints, lapDistance);
+    const detected = tryDirection(direction === 'reverse');
+    if (detected && detected.span >= rideDistance) {
+      return detected;
+    }
+
+    // A profile that is not the whole route may show several laps of it (not
+    // checked while following a local zoom window)
+    const following = detected && previous && previous.span < rideDistance;
+    if (!following) {
+      let lapped = null;
+      for (const isReversed of [direction === 'reverse', direction !== 'reverse']) {
+        const points = ridePoints(routePoints, lapDistance, isReversed, 1);
+        const count = detectLapCount(svgPoints, points, lapDistance, maxLaps);
+        if (count && (!lapped || count.score > lapped.score)) {
+          const span = lapDistance * count.laps;
+          lapped = { isReversed, laps: count.laps, start: 0, span, score: count.score };
+        }
+      }
+      if (lapped) return lapped;
+    }
+
+    // The direction check assumes the whole route is shown, so for a partial
+    // window try the other direction too
+    const other = tryDirection(direction !== 'reverse');
+    if (other && (!detected || other.score > detected.score)) {
+      return other;
+    }
+    // Nothing fits well: assume the whole ride
+    return detected || { isReversed: direction === 'reverse', laps, start: 0, span: rideDistance };
+  }
+
+  // Mirror route points so distance 0 is the end of the route (for reversed rides)
+  function reverseRoutePoints(routePoints, totalDistance) {
+    const reversed = [];
+    for (let i = routePoints.length - 1; i >= 0; i--) {
+      reversed.push({ ...routePoints[i], distance: totalDistance - routePoints[i].distance });
+    }
+    return reversed;
+  }
+
+  // Repeat one lap's route points for `laps` laps (the last one may be partial),
+  // offsetting distances so they run on from lap to lap
+  function tileRoutePoints(routePoints, lapDistance, laps) {
+    const totalDistance = lapDistance * laps;
+    const tiled = [];
+    for (let lap = 0; lap < Math.ceil(laps); lap++) {
+      const offset = lap * lapDistance;
+      for (const p of routePoints) {
+        const distance = p.distance + offset;
+        // Each lap starts where the last one ended
+        if (lap > 0 && p.distance <= 0) continue;
+        if (distance >= totalDistance) break;
+        tiled.push({ ...p, distance });
+      }
+    }
+
+    // End exactly at the total distance, partway through the last lap if need be
+    const endDistance = totalDistance - (Math.ceil(laps) - 1) * lapDistance;
+    const end = { distance: totalDistance };
+    for (const field of Object.keys(routePoints[0])) {
+      if (field !== 'distance') end[field] = interpolateField(routePoints, endDistance, field);
+    }
+    tiled.push(end);
+    return tiled;
+  }
+
+  // Category name for a climb score, or null if it is too small to categorize
+  function categorizeClimb(score) {
+    const category = CLIMB_CATEGORIES.find(c => score >= c.minScore);
+    return category ? category.name : null;
+  }
+
+  // Find sustained climbs in route points (in the direction given).
+  // A climb ends once the road drops more than maxDip meters below its highest
+  // point so far, so short dips along the way do not split it.
+  function detectClimbs(routePoints, totalDistance, options = {}) {
+    const { minLength = 500, minGain = 30, maxDip = 10, step = 20 } = options;
+    if (routePoints.length < 2 || totalDistance <= 0) return [];
+    // Gradient function for max grade (defaults to the ±50 m window)
+    const gradientAt = options.gradientAt || createGradientSampler(routePoints, totalDistance);
+
+    // Resample at a fixed step so the walk is independent of point density
+    const elevs = resampleElevations(routePoints, totalDistance, step);
+    const n = elevs.length;
+
+    const climbs = [];
+    let i = 0;
+    while (i < n - 1) {
+      if (elevs[i + 1] <= elevs[i]) {
+        i++;
+        continue;
+      }
+
+      // Extend the climb until it drops too far below its peak
+      let peak = i;
+      let low = i;
+      for (let j = i + 1; j < n; j++) {
+        if (elevs[j] > elevs[peak]) {
+          peak = j;
+        } else if (elevs[peak] - elevs[j] > maxDip) {
+          break;
+        }
+      }
+      // Start from the lowest point before the peak (skips a leading dip)
+      for (let j = i; j < peak; j++) {
+        if (elevs[j] < elevs[low]) low = j;
+      }
+
+      const startDistance = low * step;
+      const endDistance = Math.min(peak * step, totalDistance);
+      const length = endDistance - startDistance;
+      const gain = elevs[peak] - elevs[low];
+
+      if (length >= minLength && gain >= minGain) {
+        const maxGrade = maxGradientInRange(gradientAt, startDistance, endDistance, step);
+        const avgGrade = (gain / length) * 100;
+        const score = length * avgGrade;
+        climbs.push({
+          startDistance,
+          endDistance,
+          length,
+          gain,
+          startElev: elevs[low],
+          endElev: elevs[peak],
+          avgGrade,
+          maxGrade,
+          score,
+          category: categorizeClimb(score),
+        });
+      }
+
+      i = Math.max(peak, i + 1);
+    }
+
+    return climbs;
+  }
+
+  // Lengths (meters) of the steepest stretches reported in route summaries
+  const STEEPEST_LENGTHS = [100, 500, 1000];
+
+  // Numbers for a route (in the direction given): total ascent and descent, the
+  // highest and lowest points, the steepest stretch up and down for each of
+  // STEEPEST_LENGTHS, and the distance spent in each color band. Bands run
+  // between neighbouring color stops, plus open-ended bands beyond the outer
+  // stops when the route gets there; grades come from gradientAt.
+  function summarizeRoute(routePoints, totalDistance, options = {}) {
+    const { colorStops = DEFAULT_SETTINGS.colorStops, step = 10 } = options;
+    const gradientAt = options.gradientAt || createGradientSampler(routePoints, totalDistance);
+    const elevs = resampleElevations(routePoints, totalDistance, step);
+    const n = elevs.length;
+
+    let ascent = 0,
+      descent = 0,
+      high = 0,
+      low = 0;
+    for (let i = 1; i < n; i++) {
+      const diff = elevs[i] - elevs[i - 1];
+      if (diff > 0) ascent += diff;
+      else descent -= diff;
+      if (elevs[i] > elevs[high]) high = i;
+      if (elevs[i] < elevs[low]) low = i;
+    }
+
+    // Sliding window over the resampled profile; null when the route never
+    // goes up (or down) over that length
+    const steepest = [];
+    for (const length of STEEPEST_LENGTHS) {
+      const k = Math.round(length / step);
+      if (k >= n) continue;
+      let up = 0,
+        down = 0;
+      for (let i = 1; i + k < n; i++) {
+        const rise = elevs[i + k] - elevs[i];
+        if (rise > elevs[up + k] - elevs[up]) up = i;
+        if (rise < elevs[down + k] - elevs[down]) down = i;
+      }
+      const section = i => ({
+        startDistance: i * step,
+        endDistance: (i + k) * step,
+        grade: ((elevs[i + k] - elevs[i]) / (k * step)) * 100,
+      });
+      const steepestUp = section(up);
+      const steepestDown = section(down);
+      steepest.push({
+        length,
+        up: steepestUp.grade > 0 ? steepestUp : null,
+        down: steepestDown.grade < 0 ? steepestDown : null,
+      });
+    }
+
+    const grades = colorStops.map(s => s.grade);
+    const bands = [{ min: -Infinity, max: grades[0], distance: 0 }];
+    for (let i = 1; i < grades.length; i++) {
+      bands.push({ min: grades[i - 1], max: grades[i], distance: 0 });
+    }
+    bands.push({ min: grades[grades.length - 1], max: Infinity, distance: 0 });
+    for (let i = 0; i < n; i++) {
+      const segment = Math.min(step, totalDistance - i * step);
+      if (segment <= 0) continue;
+      const grade = gradientAt(i * step + segment / 2);
+      const band = bands.find(b => grade < b.max) || bands[bands.length - 1];
+      band.distance += segment;
+    }
+
+    return {
+      totalDistance,
+      ascent,
+      descent,
+      highest: { distance: high * step, elevation: elevs[high] },
+      lowest: { distance: low * step, elevation: elevs[low] },
+      steepest,
+      bands: bands.filter(b => (isFinite(b.min) && isFinite(b.max)) || b.distance > 0),
+    };
+  }
+
+  // Auto band mode: the steepest stop on each side of 0 % moves to this
+  // percentile of the route's climbing (or descending) grades, and the other
+  // stops on that side scale with it
+  const AUTO_BAND_PERCENTILE = 95;
+  const AUTO_BAND_MIN_GRADE = 1; // %; near-flat routes still get this much range
+  const AUTO_BAND_MIN_SHARE = 0.02; // share of the route a side needs to be rescaled
+
+  // Color stops rescaled to a route's grades (evenly spaced samples, e.g. a
+  // gradientGrid), so flat and mountainous routes both use the whole palette.
+  // Returns { colorStops, up, down }: up and down are the grades (%) the
+  // steepest stops now sit at, down as a positive number.
+  function autoScaleColorStops(colorStops, grades) {
+    const climbing = [];
+    const descending = [];
+    for (const grade of grades) {
+      if (grade > 0) climbing.push(grade);
+      else if (grade < 0) descending.push(-grade);
+    }
+    // Scale factor for one side; sides the route barely has are left as set
+    const sideScale = (values, steepestStop) => {
+      if (!(steepestStop > 0) || values.length < grades.length * AUTO_BAND_MIN_SHARE) return 1;
+      values.sort((a, b) => a - b);
+      const index = Math.min(
+        values.length - 1,
+        Math.floor((values.length * AUTO_BAND_PERCENTILE) / 100)
+      );
+      return Math.max(values[index], AUTO_BAND_MIN_GRADE) / steepestStop;
+    };
+    const maxUp = Math.max(0, ...colorStops.map(s => s.grade));
+    const maxDown = Math.max(0, ...colorStops.map(s => -s.grade));
+    const upScale = sideScale(climbing, maxUp);
+    const downScale = sideScale(descending, maxDown);
+    const round = grade => Math.round(grade * 10) / 10;
+    return {
+      colorStops: colorStops.map(stop => ({
+        ...stop,
+        grade: round(stop.grade * (stop.grade > 0 ? upScale : downScale)),
+      })),
+      up: round(maxUp * upScale),
+      down: round(maxDown * downScale),
+    };
+  }
+
+  // Band mode override for a route, or null if it follows the default
+  function routeBandOverride(settings, routeId) {
+    return settings.routeBandModes.find(([id]) => id === routeId)?.[1] || null;
+  }
+
+  // Band mode for a route: its override, else the default mode
+  function routeBandMode(settings, routeId) {
+    return routeBandOverride(settings, routeId) || settings.bandMode;
+  }
+
+  // Most routes with a band mode override kept in (size-limited) sync storage;
+  // the oldest overrides are dropped first
+  const MAX_ROUTE_BAND_MODES = 100;
+
+  // routeBandModes with a route's override set to mode (as the newest), or
+  // removed if mode is null. Pairs rather than an object keyed by route ID,
+  // whose numeric keys would not stay in the order they were set.
+  function setRouteBandMode(routeBandModes, routeId, mode) {
+    const updated = routeBandModes.filter(([id]) => id !== routeId);
+    if (mode) updated.push([routeId, mode]);
+    return updated.slice(-MAX_ROUTE_BAND_MODES);
+  }
+
+  // Rider position and tyre presets for the time predictor (CdA in m², Crr)
+  const BIKE_PRESETS = [
+    { id: 'road-hoods', name: 'Road bike, hoods', cda: 0.32, crr: 0.005 },
+    { id: 'road-drops', name: 'Road bike, drops', cda: 0.28, crr: 0.005 },
+    { id: 'tt', name: 'Time trial bike', cda: 0.22, crr: 0.004 },
+    { id: 'gravel', name: 'Gravel bike', cda: 0.36, crr: 0.008 },
+    { id: 'mtb', name: 'Mountain bike', cda: 0.45, crr: 0.012 },
+  ];
+
+  const GRAVITY = 9.80665; // m/s²
+  const SEA_LEVEL_AIR_DENSITY = 1.225; // kg/m³
+  const AIR_DENSITY_SCALE_HEIGHT = 8500; // m
+  const DRIVETRAIN_EFFICIENCY = 0.97;
+  // Predicted speeds are capped here: riders brake long before constant power
+  // on a steep descent would take them any faster
+  const MAX_PREDICTED_SPEED = 80 / 3.6; // m/s
+
+  // Power (W) the rider holds, from the rider profile settings
+  function riderPower(settings) {
+    return settings.powerMode === 'watts'
+      ? settings.targetPower
+      : (settings.ftp * settings.ftpPercent) / 100;
+  }
+
+  // Steady speed (m/s) at a power (W) on a grade (%), from the balance of
+  // rolling resistance, gravity and air drag:
+  //   P·η = v·(m·g·(Crr·cos θ + sin θ) + ½·ρ·CdA·v²)
+  // Options: mass (kg, rider and bike), cda, crr, elevation (m, for air density)
+  function predictSpeed(power, grade, { mass, cda, crr, elevation = 0 }) {
+    const theta = Math.atan(grade / 100);
+    const rho = SEA_LEVEL_AIR_DENSITY * Math.exp(-elevation / AIR_DENSITY_SCALE_HEIGHT);
+    const resistance = mass * GRAVITY * (crr * Math.cos(theta) + Math.sin(theta));
+    const drag = 0.5 * rho * cda;
+    const wheelPower = power * DRIVETRAIN_EFFICIENCY;
+    // Power needed grows with speed, so bisect for the speed that balances it
+    const excess = v => wheelPower - v * (resistance + drag * v * v);
+    if (excess(MAX_PREDICTED_SPEED) >= 0) return MAX_PREDICTED_SPEED;
+    let lo = 0,
+      hi = MAX_PREDICTED_SPEED;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (excess(mid) > 0) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  // Build a function distance -> predicted elapsed time (s) from the start,
+  // riding every step meters at the steady speed for the smoothed gradient
+  // there. Options: gradientAt (defaults to the ±50 m window), step.
+  function createTimePredictor(routePoints, totalDistance, settings, options = {}) {
+    const {
+      gradientAt = d => computeGradientAtDistance(routePoints, d, totalDistance),
+      step = 10,
+    } = options;
+    const power = riderPower(settings);
+    const model = {
+      mass: settings.riderMass + settings.bikeMass,
+      cda: settings.cda,
+      crr: settings.crr,
+    };
+    const n = Math.max(1, Math.ceil(totalDistance / step));
+    const times = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) {
+      const segment = Math.min(step, totalDistance - i * step);
+      const mid = i * step + segment / 2;
+      const speed = predictSpeed(power, gradientAt(mid), {
+        ...model,
+        elevation: interpolateElevation(routePoints, mid),
+      });
+      times[i + 1] = times[i] + segment / speed;
+    }
+    return function (distance) {
+      const pos = Math.max(0, Math.min(totalDistance, distance)) / step;
+      const i = Math.min(Math.floor(pos), n - 1);
+      const segment = Math.min(step, totalDistance - i * step);
+      const t = segment > 0 ? Math.min(1, ((pos - i) * step) / segment) : 0;
+      return times[i] + (times[i + 1] - times[i]) * t;
+    };
+  }
+
+  // Route export: file formats the route's points can be saved in. GPX and TCX
+  // are course files for head units and need lat/lng on the points.
+  const ROUTE_EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', needsCoordinates: false },
+    gpx: {
+      label: 'GPX',
+      extension: 'gpx',
+      mimeType: 'application/gpx+xml',
+      needsCoordinates: true,
+    },
+    tcx: {
+      label: 'TCX',
+      extension: 'tcx',
+      mimeType: 'application/vnd.garmin.tcx+xml',
+      needsCoordinates: true,
+    },
+  };
+
+  // TCX trackpoints must carry a time; rows without predicted times are timed
+  // at this steady speed (m/s)
+  const TCX_COURSE_SPEED = 25 / 3.6;
+  const TCX_MAX_NAME_LENGTH = 15; // schema limit for course names
+
+  // One export row per route point: distance, elevation, smoothed gradient (%),
+  // its color, lat/lng (when the points have them) and the predicted elapsed
+  // time (s, when a timeAt function from createTimePredictor is given)
+  function routeExportRows(routePoints, gradientAt, settings, timeAt = null) {
+    return routePoints.map(p => {
+      const gradient = gradientAt(p.distance);
+      const row = {
+        distance: p.distance,
+        elevation: p.elevation,
+        gradient,
+        color: gradientToColor(gradient, settings),
+      };
+      if (p.lat !== undefined) {
+        row.lat = p.lat;
+        row.lng = p.lng;
+      }
+      if (timeAt) row.time = timeAt(p.distance);
+      return row;
+    });
+  }
+
+  // Escape text for XML content and attribute values (exports, rendered SVGs)
+  function escapeXml(text) {
+    return String(text).replace(
+      /[<>&'"]/g,
+      c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]
+    );
+  }
+
+  function formatCsv(rows) {
+    const hasCoordinates = rows[0]?.lat !== undefined;
+    const hasTimes = rows[0]?.time !== undefined;
+    const header = ['distance_m', 'elevation_m', 'gradient_pct', 'color'];
+    if (hasCoordinates) header.push('lat', 'lng');
+    if (hasTimes) header.push('time_s');
+    const lines = [header.join(',')];
+    for (const row of rows) {
+      const fields = [
+        row.distance.toFixed(2),
+        row.elevation.toFixed(2),
+        row.gradient.toFixed(2),
+        row.color,
+      ];
+      if (hasCoordinates) fields.push(row.lat.toFixed(7), row.lng.toFixed(7));
+      if (hasTimes) fields.push(row.time.toFixed(1));
+      lines.push(fields.join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  function formatGpx(rows, { name }) {
+    const points = rows.map(
+      row =>
+        `      <trkpt lat="${row.lat.toFixed(7)}" lon="${row.lng.toFixed(7)}">` +
+        `<ele>${row.elevation.toFixed(2)}</ele></trkpt>`
+    );
+    const nameTag = name ? `    <name>${escapeXml(name)}</name>\n` : '';
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<gpx version="1.1" creator="Biketerra Gradient Colors" ' +
+      'xmlns="http://www.topografix.com/GPX/1/1">\n' +
+      (name ? `  <metadata><name>${escapeXml(name)}</name></metadata>\n` : '') +
+      '  <trk>\n' +
+      nameTag +
+      '    <trkseg>\n' +
+      points.join('\n') +
+      '\n    </trkseg>\n' +
+      '  </trk>\n' +
+      '</gpx>\n'
+    );
+  }
+
+  function formatTcx(rows, { name, startTime }) {
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const start = startTime.getTime();
+    const elapsed = row => row.time ?? row.distance / TCX_COURSE_SPEED;
+    const time = row => new Date(start + elapsed(row) * 1000).toISOString();
+    const position = row =>
+      `<LatitudeDegrees>${row.lat.toFixed(7)}</LatitudeDegrees>` +
+      `<LongitudeDegrees>${row.lng.toFixed(7)}</LongitudeDegrees>`;
+    const points = rows.map(
+      row =>
+        `        <Trackpoint><Time>${time(row)}</Time><Position>${position(row)}</Position>` +
+        `<AltitudeMeters>${row.elevation.toFixed(2)}</AltitudeMeters>` +
+        `<DistanceMeters>${row.distance.toFixed(2)}</DistanceMeters></Trackpoint>`
+    );
+    const courseName = (name || 'Course').slice(0, TCX_MAX_NAME_LENGTH);
+    const totalTime = (elapsed(last) - elapsed(first)).toFixed(0);
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<TrainingCenterDatabase ' +
+      'xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">\n' +
+      '  <Courses>\n' +
+      '    <Course>\n' +
+      `      <Name>${escapeXml(courseName)}</Name>\n` +
+      '      <Lap>\n' +
+      `        <TotalTimeSeconds>${totalTime}</TotalTimeSeconds>\n` +
+      `        <DistanceMeters>${last.distance.toFixed(2)}</DistanceMeters>\n` +
+      `        <BeginPosition>${position(first)}</BeginPosition>\n` +
+      `        <EndPosition>${position(last)}</EndPosition>\n` +
+      '        <Intensity>Active</Intensity>\n' +
+      '      </Lap>\n' +
+      '      <Track>\n' +
+      points.join('\n') +
+      '\n      </Track>\n' +
+      '    </Course>\n' +
+      '  </Courses>\n' +
+      '</TrainingCenterDatabase>\n'
+    );
+  }
+
+  const EXPORT_FORMATTERS = { csv: formatCsv, gpx: formatGpx, tcx: formatTcx };
+
+  // File contents for export rows in one of ROUTE_EXPORT_FORMATS. Options: name
+  // (route name), startTime (Date, for TCX; defaults to now).
+  function formatRouteExport(format, rows, options = {}) {
+    const spec = ROUTE_EXPORT_FORMATS[format];
+    if (!spec) throw new Error('Unknown export format: ' + format);
+    if (rows.length === 0) throw new Error('No route points to export');
+    if (spec.needsCoordinates && rows[0].lat === undefined) {
+      throw new Error(`${spec.label} export needs route coordinates`);
+    }
+    return EXPORT_FORMATTERS[format](rows, { startTime: new Date(), ...options });
+  }
+
+  // Linear interpolation between two hex colors
+  function lerpColor(color1, color2, t) {
+    const r1 = parseInt(color1.slice(1, 3), 16);
+    const g1 = parseInt(color1.slice(3, 5), 16);
+    const b1 = parseInt(color1.slice(5, 7), 16);
+
+    const r2 = parseInt(color2.slice(1, 3), 16);
+    const g2 = parseInt(color2.slice(3, 5), 16);
+    const b2 = parseInt(color2.slice(5, 7), 16);
+
+    const r = Math.round(r1 + (r2 - r1) * t);
+    const g = Math.round(g1 + (g2 - g1) * t);
+    const b = Math.round(b1 + (b2 - b1) * t);
+
+    return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+  }
+
+  function hexToRgbArray(hex) {
+    return [
+      parseInt(hex.slice(1, 3), 16),
+      parseInt(hex.slice(3, 5), 16),
+      parseInt(hex.slice(5, 7), 16),
+    ];
+  }
+
+  function rgbArrayToHex(rgb) {
+    return (
+      '#' +
+      rgb
+        .map(x =>
+          Math.max(0, Math.min(255, Math.round(x)))
+            .toString(16)
+            .padStart(2, '0')
+        )
+        .join('')
+    );
+  }
+
+  // sRGB channel (0-255) <-> linear light (0-1)
+  function srgbToLinear(c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  function linearToSrgb(c) {
+    c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return c * 255;
+  }
+
+  // Hex color to OKLab [L, a, b] (Björn Ottosson's reference matrices)
+  function hexToOklab(hex) {
+    const [r, g, b] = hexToRgbArray(hex).map(srgbToLinear);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [
+      0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+    ];
+  }
+
+  function oklabToHex([L, a, b]) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+    return rgbArrayToHex(
+      [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+      ].map(linearToSrgb)
+    );
+  }
+
+  // Interpolate in OKLab (perceptually even lightness, no muddy midpoints)
+  function lerpOklab(color1, color2, t) {
+    const c1 = hexToOklab(color1);
+    const c2 = hexToOklab(color2);
+    return oklabToHex(c1.map((v, i) => v + (c2[i] - v) * t));
+  }
+
+  // Interpolate in OKLCH: like OKLab but hue travels around the color wheel
+  // (shortest way), which keeps chroma up between distant hues
+  function lerpOklch(color1, color2, t) {
+    const toLch = ([L, a, b]) => [L, Math.hypot(a, b), Math.atan2(b, a)];
+    const [L1, C1, h1] = toLch(hexToOklab(color1));
+    const [L2, C2, h2] = toLch(hexToOklab(color2));
+
+    // Achromatic endpoints have no meaningful hue; borrow the other one's
+    const hue1 = C1 < 1e-4 ? h2 : h1;
+    const hue2 = C2 < 1e-4 ? h1 : h2;
+    let dh = hue2 - hue1;
+    if (dh > Math.PI) dh -= 2 * Math.PI;
+    if (dh < -Math.PI) dh += 2 * Math.PI;
+
+    const L = L1 + (L2 - L1) * t;
+    const C = C1 + (C2 - C1) * t;
+    const h = hue1 + dh * t;
+    return oklabToHex([L, C * Math.cos(h), C * Math.sin(h)]);
+  }
+
+  // Blend two hex colors with the given interpolation mode. 'stepped' gives
+  // discrete bands: each grade takes the color of its nearest stop.
+  function interpolateColor(color1, color2, t, mode) {
+    switch (mode) {
+      case 'oklab':
+        return lerpOklab(color1, color2, t);
+      case 'oklch':
+        return lerpOklch(color1, color2, t);
+      case 'stepped':
+        return t < 0.5 ? color1 : color2;
+      default:
+        return lerpColor(color1, color2, t);
+    }
+  }
+
+  // Simulate how a color looks with a color vision deficiency ('protanopia',
+  // 'deuteranopia' or 'tritanopia'), using the Machado et al. (2009) matrices
+  // for full severity, applied in linear RGB
+  const CVD_MATRICES = {
+    protanopia: [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.01182, 0.04294, 0.968881],
+    ],
+    tritanopia: [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.3039],
+    ],
+  };
+
+  function simulateColorVision(hex, type) {
+    const matrix = CVD_MATRICES[type];
+    if (!matrix) return hex;
+    const rgb = hexToRgbArray(hex).map(srgbToLinear);
+    return rgbArrayToHex(
+      matrix.map(row =>
+        linearToSrgb(Math.max(0, Math.min(1, row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2])))
+      )
+    );
+  }
+
+  // WCAG relative luminance (0 = black, 1 = white)
+  function relativeLuminance(hex) {
+    const [r, g, b] = hexToRgbArray(hex).map(srgbToLinear);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  // WCAG contrast ratio between two colors (1 to 21)
+  function contrastRatio(hex1, hex2) {
+    const l1 = relativeLuminance(hex1);
+    const l2 = relativeLuminance(hex2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  // WCAG AAA contrast for normal-size text. Plain black or white always
+  // reaches at least 4.5 (AA); mid-tone fills get an outline to reach this.
+  const TARGET_TEXT_CONTRAST = 7;
+
+  // Text color for a fill: black or white, whichever contrasts more. If that
+  // misses TARGET_TEXT_CONTRAST, an outline in the opposite color is added.
+  function readableTextStyle(fill) {
+    const onWhite = contrastRatio(fill, '#ffffff');
+    const onBlack = contrastRatio(fill, '#000000');
+    const color = onWhite >= onBlack ? '#ffffff' : '#000000';
+    const contrast = Math.max(onWhite, onBlack);
+    const outline =
+      contrast < TARGET_TEXT_CONTRAST ? (color === '#ffffff' ? '#000000' : '#ffffff') : null;
+    return { color, outline, contrast };
+  }
+
+  // Map a gradient (%) to a color by interpolating between the settings' color
+  // stops; grades beyond the first/last stop take that stop's color
+  function gradientToColor(gradient, settings) {
+    const stops = settings.colorStops;
+    if (gradient <= stops[0].grade) return stops[0].color;
+    const last = stops[stops.length - 1];
+    if (gradient >= last.grade) return last.color;
+
+    let i = 1;
+    while (stops[i].grade < gradient) i++;
+    const lo = stops[i - 1];
+    const hi = stops[i];
+    const span = hi.grade - lo.grade;
+    const t = span > 0 ? (gradient - lo.grade) / span : 1;
+    return interpolateColor(lo.color, hi.color, t, settings.interpolation);
+  }
+
+  // Convert hex color (#rrggbb) to rgb() string for comparison with computed styles
+  function hexToRgb(hex) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return 'rgb(' + r + ', ' + g + ', ' + b + ')';
+  }
+
+  globalThis.BTGradientCore = {
+    DEFAULT_SETTINGS,
+    BUILTIN_PALETTES,
+    CLIMB_CATEGORIES,
+    SETTINGS_VERSION,
+    INTERPOLATION_MODES,
+    MAX_COLOR_STOPS,
+    sortColorStops,
+    OBSOLETE_SETTINGS,
+    needsMigration,
+    migrateSettings,
+    COMMANDS,
+    GAME_KEYS,
+    normalizeKeyCombo,
+    keyComboFromEvent,
+    commandForKeyCombo,
+    keyBindingConflicts,
+    paletteKeys,
+    paletteSettingsUpdate,
+    findPalette,
+    validatePalette,
+    encodePaletteCode,
+    decodePaletteCode,
+    extractRouteData,
+    interpolateElevation,
+    interpolatePosition,
+    computeGradientAtDistance,
+    createGradientSampler,
+    smoothingOptions,
+    maxGradientInRange,
+    averageGradient,
+    profileGradientStops,
+    reverseRoutePoints,
+    tileRoutePoints,
+    detectLapCount,
+    ridePoints,
+    detectRouteDirection,
+    alignRide,
+    packRoutePoints,
+    unpackRoutePoints,
+    gradientGrid,
+    gridSampler,
+    alignProfileWindow,
+    detectClimbs,
+    summarizeRoute,
+    autoScaleColorStops,
+    routeBandOverride,
+    routeBandMode,
+    setRouteBandMode,
+    BIKE_PRESETS,
+    riderPower,
+    predictSpeed,
+    createTimePredictor,
+    ROUTE_EXPORT_FORMATS,
+    routeExportRows,
+    formatRouteExport,
+    escapeXml,
+    lerpColor,
+    interpolateColor,
+    gradientToColor,
+    simulateColorVision,
+    relativeLuminance,
+    contrastRatio,
+    readableTextStyle,
+    hexToRgb,
+  };
+})();
@@ -1,32 +1,110 @@
-// Default settings
-const DEFAULTS = {
-  colorStops: ['#713071', '#0c4ae0', '#28eaed', '#24ca26', '#f1f060', '#d90916', '#430102'],
-  distance: 7,
-  toggleKey: 'g',
-};
+// Default settings (shared with the content script)
+const DEFAULTS = BTGradientCore.DEFAULT_SETTINGS;
+
+// Numeric climb detection inputs (element id matches the settings key)
+const CLIMB_FIELDS = ['climbMinLength', 'climbMinGain', 'climbMaxDip'];
+
+// Numeric rider profile inputs (element id matches the settings key); each must
+// be positive
+const RIDER_FIELDS = ['riderMass', 'bikeMass', 'ftp', 'ftpPercent', 'targetPower', 'cda', 'crr'];
+
+// Settings written outside the options page (in-page commands, the toolbar
+// popup), in groups that are reloaded together
+const EXTERNAL_SETTINGS = [
+  ['showLegend'],
+  ['showTooltip'],
+  ['colorStops', 'interpolation', 'activePalette'],
+  ['keyBindings'],
+];
+
+// Most look-ahead circles shown beside the GRADE circle
+const MAX_LOOKAHEADS = 3;
+
+// Limits on the number of color stops
+const MIN_STOPS = 2;
+const MAX_STOPS = BTGradientCore.MAX_COLOR_STOPS;
+
+// Most saved palettes we keep (sync storage allows 8 KB per item)
+const MAX_PALETTES = 12;
 
 // Last saved settings (to track modifications)
 let savedSettings = null;
 
+// In-page key bindings being edited (command id -> key combos), the browser's
+// shortcuts for the same commands, and the command waiting for a key press
+let keyBindings = structuredClone(DEFAULTS.keyBindings);
+let browserShortcuts = {};
+let capturingCommand = null;
+
+// Saved named palettes, and which palette the editor was loaded from
+// ('builtin:<id>', 'custom:<name>', or '' once loaded from a code or file)
+let paletteLibrary = [];
+let activePalette = DEFAULTS.activePalette;
+
+// Read the color stops from the editor rows, sorted by grade
+function getColorStops() {
+  const stops = [];
+  document.querySelectorAll('#colorStops .color-row').forEach(row => {
+    const grade = parseFloat(row.querySelector('.stop-grade').value);
+    stops.push({
+      grade: isNaN(grade) ? 0 : grade,
+      color: row.querySelector('.stop-color').value,
+    });
+  });
+  return BTGradientCore.sortColorStops(stops);
+}
+
+// Parse "100, 500" into sorted, distinct distances in meters (defaults if none)
+function parseLookAheadDistances(text) {
+  const distances = text
+    .split(/[\s,]+/)
+    .map(Number)
+    .filter(d => isFinite(d) && d > 0)
+    .map(Math.round);
+  const unique = [...new Set(distances)].sort((a, b) => a - b).slice(0, MAX_LOOKAHEADS);
+  return unique.length > 0 ? unique : DEFAULTS.lookAheadDistances;
+}
+
 // Get current settings from the form
 function getCurrentSettings() {
-  const colorStops = [];
-  for (let i = 0; i < 7; i++) {
-    colorStops.push(document.getElementById('color' + i).value.toLowerCase());
+  const colorStops = getColorStops();
+  const interpolation = document.getElementById('interpolation').value;
+  const current = { colorStops, interpolation, keyBindings: structuredClone(keyBindings) };
+  current.schemaVersion = BTGradientCore.SETTINGS_VERSION;
+  current.activePalette = activePalette;
+  current.bandMode = document.getElementById('bandMode').value;
+  current.smoothingMethod = document.getElementById('smoothingMethod').value;
+  current.smoothingWindow =
+    parseFloat(document.getElementById('smoothingWindow').value) || DEFAULTS.smoothingWindow;
+  current.showClimbs = document.getElementById('showClimbs').checked;
+  current.showNextClimb = document.getElementById('showNextClimb').checked;
+  current.showTooltip = document.getElementById('showTooltip').checked;
+  current.showLegend = document.getElementById('showLegend').checked;
+  current.showMinimap = document.getElementById('showMinimap').checked;
+  current.showLapMarkers = document.getElementById('showLapMarkers').checked;
+  current.showLookAhead = document.getElementById('showLookAhead').checked;
+  current.lookAheadDistances = parseLookAheadDistances(
+    document.getElementById('lookAheadDistances').value
+  );
+  for (const key of CLIMB_FIELDS) {
+    const value = parseFloat(document.getElementById(key).value);
+    current[key] = isNaN(value) ? DEFAULTS[key] : value;
+  }
+  current.showPrediction = document.getElementById('showPrediction').checked;
+  current.powerMode = document.getElementById('powerMode').value;
+  for (const key of RIDER_FIELDS) {
+    const value = parseFloat(document.getElementById(key).value);
+    current[key] = value > 0 ? value : DEFAULTS[key];
   }
-  const distance = parseFloat(document.getElementById('distance').value) || 7;
-  const toggleKey = document.getElementById('toggleKey').value.toLowerCase() || 'g';
-  return { colorStops, distance, toggleKey };
+  return current;
 }
 
-// Compare two settings objects
+// Compare two settings objects (the palette library and the per-route band
+// modes are saved on their own)
 function settingsEqual(a, b) {
-  if (a.distance !== b.distance) return false;
-  if (a.toggleKey !== b.toggleKey) return false;
-  for (let i = 0; i < 7; i++) {
-    if (a.colorStops[i].toLowerCase() !== b.colorStops[i].toLowerCase()) return false;
-  }
-  return true;
+  return Object.keys(DEFAULTS)
+    .filter(key => key !== 'palettes' && key !== 'routeBandModes')
+    .every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
 }
 
 // Update button states based on current settings
@@ -35,10 +113,14 @@ function updateButtonStates() {
   const saveBtn = document.getElementById('save');
   const resetBtn = document.getElementById('reset');
 
-  // Save button: disabled if no changes since last save
+  // Save button: disabled if no changes since last save, or while a key is
+  // bound to two commands
   const hasChanges = !savedSettings || !settingsEqual(current, savedSettings);
-  saveBtn.disabled = !hasChanges;
-  saveBtn.classList.toggle('disabled', !hasChanges);
+  const ambiguous = BTGradientCore.keyBindingConflicts(current.keyBindings).some(
+    c => c.kind === 'duplicate'
+  );
+  saveBtn.disabled = !hasChanges || ambiguous;
+  saveBtn.classList.toggle('disabled', saveBtn.disabled);
 
   // Reset button: highlighted if current differs from defaults
   const isDefault = settingsEqual(current, DEFAULTS);
@@ -47,45 +129,119 @@ function updateButtonStates() {
 }
 
 // Load settings from storage
-function loadSettings() {
-  chrome.storage.sync.get(DEFAULTS, function (settings) {
-    for (let i = 0; i < 7; i++) {
-      document.getElementById('color' + i).value = settings.colorStops[i];
-    }
-    document.getElementById('distance').value = settings.distance;
-    document.getElementById('toggleKey').value = settings.toggleKey;
-    savedSettings = {
-      colorStops: settings.colorStops.map(c => c.toLowerCase()),
-      distance: settings.distance,
-      toggleKey: settings.toggleKey,
-    };
-    updatePreview();
-    updateLabels(settings.distance);
-    updateButtonStates();
-  });
+async function loadSettings() {
+  const stored = await BTExt.storage.sync.get();
+  const settings = BTGradientCore.migrateSettings(stored);
+  // Persist migrated settings so older layouts are only converted once
+  if (BTGradientCore.needsMigration(stored)) {
+    BTExt.storage.sync.remove(BTGradientCore.OBSOLETE_SETTINGS).catch(() => {});
+    BTExt.storage.sync.set(settings).catch(() => {});
+  }
+  paletteLibrary = settings.palettes;
+  showRouteBandModes(settings.routeBandModes);
+  setFormFields(settings);
+  savedSettings = getCurrentSettings();
+  updateButtonStates();
 }
 
-// Save settings to storage
+// Save settings to storage. Edits to a saved palette are written back to it.
 function saveSettings() {
   const current = getCurrentSettings();
+  const saved = findCustomPalette(activePalette);
+  if (saved) {
+    saved.colorStops = current.colorStops;
+    saved.interpolation = current.interpolation;
+    current.palettes = paletteLibrary;
+  }
 
-  chrome.storage.sync.set(current, function () {
-    savedSettings = current;
-    showStatus('Settings saved');
-    updateLabels(current.distance);
-    updateButtonStates();
-  });
+  BTExt.storage.sync.set(current).then(
+    function () {
+      savedSettings = current;
+      // Show stops in saved (sorted) order
+      renderColorStops(current.colorStops);
+      showStatus('Settings saved');
+      updateButtonStates();
+    },
+    function (e) {
+      showStatus('Could not save: ' + e.message);
+    }
+  );
+}
+
+// Fill every form field from a settings object
+function setFormFields(settings) {
+  activePalette = settings.activePalette;
+  renderPaletteSelect();
+  document.getElementById('interpolation').value = settings.interpolation;
+  renderColorStops(settings.colorStops);
+  document.getElementById('bandMode').value = settings.bandMode;
+  document.getElementById('smoothingMethod').value = settings.smoothingMethod;
+  document.getElementById('smoothingWindow').value = settings.smoothingWindow;
+  keyBindings = structuredClone(settings.keyBindings);
+  capturingCommand = null;
+  renderCommands();
+  document.getElementById('showClimbs').checked = settings.showClimbs;
+  document.getElementById('showNextClimb').checked = settings.showNextClimb;
+  document.getElementById('showTooltip').checked = settings.showTooltip;
+  document.getElementById('showLegend').checked = settings.showLegend;
+  document.getElementById('showMinimap').checked = settings.showMinimap;
+  document.getElementById('showLapMarkers').checked = settings.showLapMarkers;
+  document.getElementById('showLookAhead').checked = settings.showLookAhead;
+  document.getElementById('lookAheadDistances').value = settings.lookAheadDistances.join(', ');
+  for (const key of CLIMB_FIELDS) {
+    document.getElementById(key).value = settings[key];
+  }
+  document.getElementById('showPrediction').checked = settings.showPrediction;
+  document.getElementById('powerMode').value = settings.powerMode;
+  for (const key of RIDER_FIELDS) {
+    document.getElementById(key).value = settings[key];
+  }
+  updatePowerRows();
+  updateBikePreset();
+}
+
+// Show the FTP or the target power inputs, whichever the power mode uses
+function updatePowerRows() {
+  const byFtp = document.getElementById('powerMode').value === 'ftp';
+  document.getElementById('ftpRow').hidden = !byFtp;
+  document.getElementById('targetPowerRow').hidden = byFtp;
+}
+
+// Bike preset picker: the built-in presets, plus "Custom" for other CdA/Crr
+function renderBikePresets() {
+  const select = document.getElementById('bikePreset');
+  for (const preset of BTGradientCore.BIKE_PRESETS) {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = `${preset.name} (CdA ${preset.cda}, Crr ${preset.crr})`;
+    select.appendChild(option);
+  }
+  const custom = document.createElement('option');
+  custom.value = '';
+  custom.textContent = 'Custom';
+  select.appendChild(custom);
+}
+
+// Select the preset matching the CdA/Crr inputs, or "Custom"
+function updateBikePreset() {
+  const cda = parseFloat(document.getElementById('cda').value);
+  const crr = parseFloat(document.getElementById('crr').value);
+  const preset = BTGradientCore.BIKE_PRESETS.find(p => p.cda === cda && p.crr === crr);
+  document.getElementById('bikePreset').value = preset ? preset.id : '';
+}
+
+function applyBikePreset() {
+  const id = document.getElementById('bikePreset').value;
+  const preset = BTGradientCore.BIKE_PRESETS.find(p => p.id === id);
+  if (!preset) return;
+  document.getElementById('cda').value = preset.cda;
+  document.getElementById('crr').value = preset.crr;
+  updateButtonStates();
 }
 
 // Reset form to defaults (does not save until Save is clicked)
 function resetSettings() {
-  for (let i = 0; i < 7; i++) {
-    document.getElementById('color' + i).value = DEFAULTS.colorStops[i];
-  }
-  document.getElementById('distance').value = DEFAULTS.distance;
-  document.getElementById('toggleKey').value = DEFAULTS.toggleKey;
-  updatePreview();
-  updateLabels(DEFAULTS.distance);
+  setFormFields(DEFAULTS);
   updateButtonStates();
   showStatus('Reset to defaults (click Save to apply)');
 }
@@ -99,81 +255,587 @@ function showStatus(message) {
   }, 2000);
 }
 
-// Linear interpolation between two hex colors
-function lerpColor(color1, color2, t) {
-  const r1 = parseInt(color1.slice(1, 3), 16);
-  const g1 = parseInt(color1.slice(3, 5), 16);
-  const b1 = parseInt(color1.slice(5, 7), 16);
+// Create a small button for a stop row
+function createRowButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'secondary stop-button';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
 
-  const r2 = parseInt(color2.slice(1, 3), 16);
-  const g2 = parseInt(color2.slice(3, 5), 16);
-  const b2 = parseInt(color2.slice(5, 7), 16);
+// Rebuild the color stop editor rows (highest grade first, like a profile)
+function renderColorStops(colorStops) {
+  const container = document.getElementById('colorStops');
+  container.innerHTML = '';
 
-  const r = Math.round(r1 + (r2 - r1) * t);
-  const g = Math.round(g1 + (g2 - g1) * t);
-  const b = Math.round(b1 + (b2 - b1) * t);
+  const stops = BTGradientCore.sortColorStops(colorStops).reverse();
+  stops.forEach((stop, i) => {
+    const row = document.createElement('div');
+    row.className = 'color-row';
 
-  return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+    const grade = document.createElement('input');
+    grade.type = 'number';
+    grade.className = 'stop-grade';
+    grade.step = '0.5';
+    grade.min = '-50';
+    grade.max = '50';
+    grade.value = stop.grade;
+    grade.addEventListener('input', onStopsChanged);
+    // Re-sort once an edit is committed
+    grade.addEventListener('change', function () {
+      renderColorStops(getColorStops());
+      onStopsChanged();
+    });
+
+    const unit = document.createElement('span');
+    unit.className = 'stop-unit';
+    unit.textContent = '%';
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'stop-color';
+    color.value = stop.color;
+    color.addEventListener('input', onStopsChanged);
+
+    row.append(
+      grade,
+      unit,
+      color,
+      createRowButton('↑', 'Move this color up one stop', () => swapStopColors(i, i - 1)),
+      createRowButton('↓', 'Move this color down one stop', () => swapStopColors(i, i + 1)),
+      createRowButton('✕', 'Remove this stop', () => removeStop(i))
+    );
+    container.appendChild(row);
+  });
+
+  document.getElementById('addStop').disabled = stops.length >= MAX_STOPS;
+  container.querySelectorAll('.stop-button[title^="Remove"]').forEach(button => {
+    button.disabled = stops.length <= MIN_STOPS;
+  });
+  updatePreview();
+}
+
+// Swap the colors of two rows, keeping the grades in place
+function swapStopColors(i, j) {
+  const colors = document.querySelectorAll('#colorStops .stop-color');
+  if (j < 0 || j >= colors.length) return;
+  [colors[i].value, colors[j].value] = [colors[j].value, colors[i].value];
+  onStopsChanged();
+}
+
+function removeStop(i) {
+  const stops = getColorStops().reverse();
+  if (stops.length <= MIN_STOPS) return;
+  stops.splice(i, 1);
+  renderColorStops(stops);
+  onStopsChanged();
+}
+
+// Add a stop above the steepest one, continuing its band width
+function addStop() {
+  const stops = getColorStops();
+  if (stops.length >= MAX_STOPS) return;
+  const last = stops[stops.length - 1];
+  const width = stops.length > 1 ? last.grade - stops[stops.length - 2].grade : 5;
+  stops.push({ grade: last.grade + (width || 5), color: last.color });
+  renderColorStops(stops);
+  onStopsChanged();
+}
+
+// Re-space stops with separate uphill and downhill band widths: the k-th stop
+// above 0% moves to k × uphill, the k-th stop below 0% to -k × downhill
+function applySpacing() {
+  const uphill = parseFloat(document.getElementById('uphillWidth').value);
+  const downhill = parseFloat(document.getElementById('downhillWidth').value);
+  if (!(uphill > 0) || !(downhill > 0)) {
+    showStatus('Band widths must be positive');
+    return;
+  }
+
+  const stops = getColorStops();
+  const up = stops.filter(s => s.grade > 0);
+  const down = stops.filter(s => s.grade < 0).reverse();
+  up.forEach((s, k) => (s.grade = (k + 1) * uphill));
+  down.forEach((s, k) => (s.grade = -(k + 1) * downhill));
+  renderColorStops(stops);
+  onStopsChanged();
+}
+
+function onStopsChanged() {
+  updatePreview();
+  updateButtonStates();
 }
 
-// Update preview bar with interpolated gradient
+// Update preview bar with the interpolated gradient across the stop range, plus
+// a second bar simulating the selected color vision deficiency
 function updatePreview() {
   const preview = document.getElementById('preview');
+  const simulated = document.getElementById('simulatedPreview');
+  const simulation = document.getElementById('simulation').value;
   preview.innerHTML = '';
+  simulated.innerHTML = '';
+  simulated.hidden = !simulation;
 
-  const colorStops = [];
-  for (let i = 0; i < 7; i++) {
-    colorStops.push(document.getElementById('color' + i).value);
-  }
+  const settings = {
+    colorStops: getColorStops(),
+    interpolation: document.getElementById('interpolation').value,
+  };
+  const minGrade = settings.colorStops[0].grade;
+  const maxGrade = settings.colorStops[settings.colorStops.length - 1].grade;
 
-  // Create 60 segments for smooth gradient (10 per color band)
-  const segments = 60;
+  const segments = 120;
   for (let i = 0; i < segments; i++) {
-    // Map segment index to position in color stops (0-6)
-    const pos = (i / segments) * 6;
-    const band = Math.min(5, Math.floor(pos));
-    const t = pos - band;
-
-    const color = lerpColor(colorStops[band], colorStops[band + 1], t);
+    const grade = minGrade + ((i + 0.5) / segments) * (maxGrade - minGrade);
+    const color = BTGradientCore.gradientToColor(grade, settings);
 
     const segment = document.createElement('div');
     segment.className = 'preview-segment';
     segment.style.backgroundColor = color;
     preview.appendChild(segment);
+
+    if (simulation) {
+      const simSegment = document.createElement('div');
+      simSegment.className = 'preview-segment';
+      simSegment.style.backgroundColor = BTGradientCore.simulateColorVision(color, simulation);
+      simulated.appendChild(simSegment);
+    }
   }
+
+  document.getElementById('previewMin').textContent = minGrade + '%';
+  document.getElementById('previewMax').textContent = (maxGrade > 0 ? '+' : '') + maxGrade + '%';
+}
+
+// Saved palette for a 'custom:<name>' key, if it exists
+function findCustomPalette(key) {
+  if (!key.startsWith('custom:')) return null;
+  const name = key.slice('custom:'.length);
+  return paletteLibrary.find(p => p.name === name) || null;
+}
+
+// Display name of the palette currently in the editor
+function activePaletteName() {
+  const palette = BTGradientCore.findPalette(paletteLibrary, activePalette);
+  return palette ? palette.name : 'Custom palette';
+}
+
+// Rebuild the palette picker around the palette in the editor
+function renderPaletteSelect() {
+  const select = document.getElementById('paletteSelect');
+  BTPaletteSelect.render(select, paletteLibrary, activePalette);
+  document.getElementById('deletePalette').disabled = !findCustomPalette(select.value);
 }
 
-// Update labels based on distance
-function updateLabels(distance) {
-  const d = distance;
-  const labels = [`-${d * 3}%`, `-${d * 2}%`, `-${d}%`, `0%`, `+${d}%`, `+${d * 2}%`, `+${d * 3}%`];
-  for (let i = 0; i < 7; i++) {
-    const row = document.getElementById('color' + i).parentElement;
-    row.querySelector('label').textContent = labels[i];
+// Put a palette's stops and blending into the editor. A palette's toggle key
+// (if it has one) becomes the zoom binding.
+function loadPaletteIntoEditor(palette, key) {
+  activePalette = key;
+  renderPaletteSelect();
+  document.getElementById('interpolation').value = palette.interpolation || 'srgb';
+  if (palette.toggleKey) {
+    keyBindings.toggleZoom = [BTGradientCore.normalizeKeyCombo(palette.toggleKey)];
+    renderCommands();
   }
+  renderColorStops(palette.colorStops);
+  onStopsChanged();
 }
 
-// Initialize
-document.addEventListener('DOMContentLoaded', loadSettings);
+// Load the palette chosen in the picker (does not save)
+function loadSelectedPalette() {
+  const key = document.getElementById('paletteSelect').value;
+  const palette = BTGradientCore.findPalette(paletteLibrary, key);
+  if (!palette) return;
+  loadPaletteIntoEditor(palette, key);
+  showStatus(`Loaded ${palette.name} (click Save to apply)`);
+}
 
-document.getElementById('save').addEventListener('click', saveSettings);
-document.getElementById('reset').addEventListener('click', resetSettings);
+// Add or replace palettes in the library and persist it, then call back
+function storePalettes(palettes, callback) {
+  for (const palette of palettes) {
+    const index = paletteLibrary.findIndex(p => p.name === palette.name);
+    const entry = {
+      name: palette.name,
+      colorStops: palette.colorStops,
+      interpolation: palette.interpolation,
+    };
+    if (index >= 0) {
+      paletteLibrary[index] = entry;
+    } else {
+      paletteLibrary.push(entry);
+    }
+  }
+  if (paletteLibrary.length > MAX_PALETTES) {
+    paletteLibrary = paletteLibrary.slice(0, MAX_PALETTES);
+    showStatus(`Only ${MAX_PALETTES} palettes can be saved`);
+  }
+  BTExt.storage.sync.set({ palettes: paletteLibrary }).then(
+    function () {
+      renderPaletteSelect();
+      if (callback) callback();
+    },
+    function (e) {
+      showStatus('Could not save palettes: ' + e.message);
+    }
+  );
+}
 
-// Update preview and button states on color change
-for (let i = 0; i < 7; i++) {
-  document.getElementById('color' + i).addEventListener('input', function () {
-    updatePreview();
+// Save the editor's stops as a new (or replaced) named palette and apply it
+function savePaletteAs() {
+  const suggested = findCustomPalette(activePalette)?.name || '';
+  const input = window.prompt('Palette name:', suggested);
+  if (input === null) return;
+
+  let palette;
+  try {
+    palette = BTGradientCore.validatePalette({
+      name: input,
+      colorStops: getColorStops(),
+      interpolation: document.getElementById('interpolation').value,
+    });
+  } catch (e) {
+    showStatus(e.message);
+    return;
+  }
+  const exists = paletteLibrary.some(p => p.name === palette.name);
+  if (exists && !window.confirm(`Replace the saved palette "${palette.name}"?`)) return;
+
+  storePalettes([palette], function () {
+    activePalette = 'custom:' + palette.name;
+    saveSettings();
+  });
+}
+
+// Remove the selected saved palette from the library
+function deletePalette() {
+  const key = document.getElementById('paletteSelect').value;
+  const palette = findCustomPalette(key);
+  if (!palette || !window.confirm(`Delete the saved palette "${palette.name}"?`)) return;
+
+  paletteLibrary = paletteLibrary.filter(p => p !== palette);
+  if (activePalette === key) activePalette = '';
+  BTExt.storage.sync.set({ palettes: paletteLibrary }).then(function () {
+    renderPaletteSelect();
     updateButtonStates();
+    showStatus(`Deleted ${palette.name}`);
+  });
+}
+
+// Palette in the editor, in the export / share code format
+function getEditorPalette() {
+  const current = getCurrentSettings();
+  return {
+    schemaVersion: BTGradientCore.SETTINGS_VERSION,
+    name: activePaletteName(),
+    colorStops: current.colorStops,
+    interpolation: current.interpolation,
+    // Palettes carry a single-character zoom key, as before key bindings
+    toggleKey: current.keyBindings.toggleZoom.find(k => k.length === 1)?.toLowerCase(),
+  };
+}
+
+// Download the editor's palette as a JSON file
+function exportPalette() {
+  const palette = getEditorPalette();
+  const blob = new Blob([JSON.stringify(palette, null, 2) + '\n'], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = palette.name.replace(/[^\w-]+/g, '-').toLowerCase() + '.palette.json';
+  link.click();
+  setTimeout(function () {
+    URL.revokeObjectURL(link.href);
+  }, 1000);
+}
+
+// Import palettes from a JSON file (a single palette or { palettes: [...] })
+function importPalettes(file) {
+  file.text().then(function (text) {
+    let palettes;
+    try {
+      const data = JSON.parse(text);
+      const list = Array.isArray(data.palettes) ? data.palettes : [data];
+      palettes = list.map(BTGradientCore.validatePalette);
+    } catch (e) {
+      showStatus('Import failed: ' + e.message);
+      return;
+    }
+    storePalettes(palettes, function () {
+      const first = palettes[0];
+      loadPaletteIntoEditor(first, 'custom:' + first.name);
+      showStatus(`Imported ${palettes.length} palette(s) (click Save to apply)`);
+    });
   });
 }
 
-// Update labels and button states on distance change
-document.getElementById('distance').addEventListener('input', function () {
-  updateLabels(parseFloat(this.value) || 7);
+// Copy a share code for the editor's palette to the clipboard
+function copyShareCode() {
+  const code = BTGradientCore.encodePaletteCode(getEditorPalette());
+  const field = document.getElementById('shareCode');
+  field.value = code;
+  field.select();
+  navigator.clipboard.writeText(code).then(
+    () => showStatus('Share code copied'),
+    () => showStatus('Share code ready to copy')
+  );
+}
+
+// Load a pasted share code into the editor (does not save)
+function applyShareCode() {
+  let palette;
+  try {
+    palette = BTGradientCore.decodePaletteCode(document.getElementById('shareCode').value);
+  } catch (e) {
+    showStatus(e.message);
+    return;
+  }
+  loadPaletteIntoEditor(palette, '');
+  showStatus(`Loaded ${palette.name} (Save to apply, Save As to keep it)`);
+}
+
+// Key binding editor: one row per command with its keys (click to remove), a
+// button to add one, and any conflicts
+function renderCommands() {
+  const table = document.getElementById('commands');
+  table.replaceChildren();
+  const conflicts = BTGradientCore.keyBindingConflicts(keyBindings, browserShortcuts);
+
+  for (const command of BTGradientCore.COMMANDS) {
+    const tr = table.insertRow();
+    const label = tr.insertCell();
+    label.textContent = command.description;
+    if (browserShortcuts[command.id]) {
+      const shortcut = document.createElement('div');
+      shortcut.className = 'browser-shortcut';
+      shortcut.textContent = 'Browser shortcut: ' + browserShortcuts[command.id];
+      label.appendChild(shortcut);
+    }
+
+    const keys = tr.insertCell();
+    for (const combo of keyBindings[command.id]) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = combo;
+      button.title = 'Remove ' + combo;
+      button.addEventListener('click', function () {
+        keyBindings[command.id] = keyBindings[command.id].filter(k => k !== combo);
+        onBindingsChanged();
+      });
+      keys.appendChild(button);
+    }
+    const add = document.createElement('button');
+    add.type = 'button';
+    const capturing = capturingCommand === command.id;
+    add.className = 'add-binding' + (capturing ? ' capturing' : '');
+    add.textContent = capturing ? 'Press a key… (Esc cancels)' : '+';
+    add.title = 'Add a key';
+    add.addEventListener('click', function () {
+      capturingCommand = capturing ? null : command.id;
+      renderCommands();
+    });
+    keys.appendChild(add);
+
+    for (const conflict of conflicts.filter(c => c.command === command.id)) {
+      const note = document.createElement('div');
+      note.className = 'conflict' + (conflict.kind === 'duplicate' ? ' error' : '');
+      note.textContent = describeConflict(conflict);
+      keys.appendChild(note);
+    }
+  }
+}
+
+function describeConflict({ combo, kind, detail }) {
+  const commandName = id => BTGradientCore.COMMANDS.find(c => c.id === id).description;
+  switch (kind) {
+    case 'duplicate':
+      return `${combo} is also bound to "${commandName(detail)}"`;
+    case 'game':
+      return `${combo} is also used by Biketerra (${detail})`;
+    default:
+      return `${combo} is also the browser shortcut for "${commandName(detail)}"`;
+  }
+}
+
+function onBindingsChanged() {
+  renderCommands();
   updateButtonStates();
+}
+
+// While a command waits for a key, the next key press (with its modifiers)
+// becomes a binding; Escape on its own cancels
+function captureBinding(e) {
+  if (!capturingCommand) return;
+  e.preventDefault();
+  e.stopPropagation();
+  const combo = BTGradientCore.keyComboFromEvent(e);
+  if (!combo) return; // wait for a key to go with the modifiers
+  if (combo !== 'Escape' && !keyBindings[capturingCommand].includes(combo)) {
+    keyBindings[capturingCommand].push(combo);
+  }
+  capturingCommand = null;
+  onBindingsChanged();
+}
+
+// The browser's shortcuts for the manifest commands, shown beside the bindings
+function loadBrowserShortcuts() {
+  BTExt.commands
+    .getAll()
+    .then(commands => {
+      browserShortcuts = Object.fromEntries(commands.map(c => [c.name, c.shortcut]));
+      renderCommands();
+    })
+    .catch(() => {});
+}
+
+// How many routes have their own band mode (set from the toolbar popup)
+function showRouteBandModes(routeBandModes) {
+  const count = routeBandModes.length;
+  document.getElementById('routeBandModes').textContent =
+    count === 0
+      ? 'No routes with their own band scale'
+      : `${count} route${count === 1 ? '' : 's'} with their own band scale`;
+  document.getElementById('clearRouteBandModes').disabled = count === 0;
+}
+
+function clearRouteBandModes() {
+  BTExt.storage.sync.set({ routeBandModes: [] }).then(
+    function () {
+      showRouteBandModes([]);
+      showStatus('Route band settings cleared');
+    },
+    function (e) {
+      showStatus('Could not clear route band settings: ' + e.message);
+    }
+  );
+}
+
+// Show how many routes are cached and how much storage they use
+function updateCacheUsage() {
+  BTRouteCache.usage().then(({ entries, bytes, maxBytes }) => {
+    const kb = n => Math.round(n / 1024) + ' KB';
+    document.getElementById('cacheUsage').textContent =
+      `${entries} route${entries === 1 ? '' : 's'}, ${kb(bytes)} of ${kb(maxBytes)}`;
+  });
+}
+
+function clearRouteCache() {
+  BTRouteCache.clear().then(() => {
+    updateCacheUsage();
+    showStatus('Route cache cleared');
+  });
+}
+
+// Follow settings changed elsewhere (in-page commands, the popup's palette
+// picker) so the next Save doesn't put the old values back. A group with
+// unsaved edits keeps them.
+BTExt.storage.onChanged(function (changes, area) {
+  if (area !== 'sync' || !savedSettings) return;
+  const current = getCurrentSettings();
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const update = {};
+  for (const group of EXTERNAL_SETTINGS) {
+    const changed = group.filter(key => changes[key]?.newValue !== undefined);
+    if (changed.length === 0) continue;
+    const edited = group.some(key => !same(current[key], savedSettings[key]));
+    for (const key of changed) {
+      const value = changes[key].newValue;
+      savedSettings[key] = value;
+      if (!edited && !same(current[key], value)) update[key] = value;
+    }
+  }
+  applyExternalSettings(update);
+  updateButtonStates();
+});
+
+// Show settings changed elsewhere in the form
+function applyExternalSettings(update) {
+  for (const key of ['showLegend', 'showTooltip']) {
+    if (key in update) document.getElementById(key).checked = update[key];
+  }
+  if ('activePalette' in update) {
+    activePalette = update.activePalette;
+    renderPaletteSelect();
+  }
+  if ('interpolation' in update) {
+    document.getElementById('interpolation').value = update.interpolation;
+  }
+  if ('colorStops' in update) {
+    renderColorStops(update.colorStops);
+  }
+  if ('colorStops' in update || 'interpolation' in update) {
+    updatePreview();
+  }
+  if ('keyBindings' in update) {
+    keyBindings = structuredClone(update.keyBindings);
+    renderCommands();
+  }
+}
+
+// Initialize
+renderBikePresets();
+document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', updateCacheUsage);
+document.addEventListener('DOMContentLoaded', loadBrowserShortcuts);
+document.addEventListener('keydown', captureBinding, true);
+
+document.getElementById('save').addEventListener('click', saveSettings);
+document.getElementById('reset').addEventListener('click', resetSettings);
+document.getElementById('addStop').addEventListener('click', addStop);
+document.getElementById('applySpacing').addEventListener('click', applySpacing);
+document.getElementById('loadPalette').addEventListener('click', loadSelectedPalette);
+document.getElementById('savePaletteAs').addEventListener('click', savePaletteAs);
+document.getElementById('deletePalette').addEventListener('click', deletePalette);
+document.getElementById('exportPalette').addEventListener('click', exportPalette);
+document.getElementById('importPalette').addEventListener('click', function () {
+  document.getElementById('importFile').click();
+});
+document.getElementById('importFile').addEventListener('change', function () {
+  if (this.files[0]) importPalettes(this.files[0]);
+  this.value = '';
 });
+document.getElementById('copyShareCode').addEventListener('click', copyShareCode);
+document.getElementById('applyShareCode').addEventListener('click', applyShareCode);
+document.getElementById('clearCache').addEventListener('click', clearRouteCache);
+document.getElementById('clearRouteBandModes').addEventListener('click', clearRouteBandModes);
+document.getElementById('paletteSelect').addEventListener('change', function () {
+  document.getElementById('deletePalette').disabled = !findCustomPalette(this.value);
+});
+document.getElementById('simulation').addEventListener('change', updatePreview);
+
+// Update preview and button states on interpolation mode change
+document.getElementById('interpolation').addEventListener('change', onStopsChanged);
+
+document.getElementById('bandMode').addEventListener('change', updateButtonStates);
+
+// Update button states on smoothing changes
+document.getElementById('smoothingMethod').addEventListener('change', updateButtonStates);
+document.getElementById('smoothingWindow').addEventListener('input', updateButtonStates);
+
+// Update button states on climb setting changes
+document.getElementById('showClimbs').addEventListener('change', updateButtonStates);
+document.getElementById('showNextClimb').addEventListener('change', updateButtonStates);
 
-// Update button states on toggle key change
-document.getElementById('toggleKey').addEventListener('input', function () {
+// Update button states on overlay toggles
+document.getElementById('showTooltip').addEventListener('change', updateButtonStates);
+document.getElementById('showLegend').addEventListener('change', updateButtonStates);
+document.getElementById('showMinimap').addEventListener('change', updateButtonStates);
+document.getElementById('showLapMarkers').addEventListener('change', updateButtonStates);
+document.getElementById('showLookAhead').addEventListener('change', updateButtonStates);
+document.getElementById('lookAheadDistances').addEventListener('input', updateButtonStates);
+for (const key of CLIMB_FIELDS) {
+  document.getElementById(key).addEventListener('input', updateButtonStates);
+}
+
+// Update button states on rider profile changes
+document.getElementById('showPrediction').addEventListener('change', updateButtonStates);
+document.getElementById('powerMode').addEventListener('change', function () {
+  updatePowerRows();
   updateButtonStates();
 });
+document.getElementById('bikePreset').addEventListener('change', applyBikePreset);
+for (const key of RIDER_FIELDS) {
+  document.getElementById(key).addEventListener('input', function () {
+    updateBikePreset();
+    updateButtonStates();
+  });
+}
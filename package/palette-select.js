@@ -0,0 +1,47 @@
+// Biketerra Gradient Colors - Palette picker
+// Fills a <select> with the saved and built-in palettes, as shown by the
+// options page and the toolbar popup. Shared by both as globalThis.BTPaletteSelect.
+
+(function () {
+  'use strict';
+
+  function addGroup(select, label, entries) {
+    if (entries.length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const [value, text] of entries) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      group.appendChild(option);
+    }
+    select.appendChild(group);
+  }
+
+  // Rebuild the picker: saved palettes first, then the built-in ones, and an
+  // "(unsaved palette)" entry (value '') selected when activePalette is neither
+  function render(select, palettes, activePalette) {
+    select.replaceChildren();
+    addGroup(
+      select,
+      'Saved',
+      palettes.map(p => ['custom:' + p.name, p.name])
+    );
+    addGroup(
+      select,
+      'Built-in',
+      BTGradientCore.BUILTIN_PALETTES.map(p => ['builtin:' + p.id, p.name])
+    );
+
+    const known = BTGradientCore.findPalette(palettes, activePalette) !== null;
+    if (!known) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = '(unsaved palette)';
+      select.prepend(option);
+    }
+    select.value = known ? activePalette : '';
+  }
+
+  globalThis.BTPaletteSelect = { render };
+})();
@@ -0,0 +1,165 @@
+// Biketerra Gradient Colors - Toolbar popup
+// Shows what the content script found on the active tab and offers quick
+// controls. Talks to content.js with tab messages; palette changes go through
+// synced storage like the options page.
+
+const SOURCE_LABELS = {
+  route_processed: 'route_processed (high precision)',
+  simple_route: 'simple_route',
+};
+
+// Active tab, if the content script answered
+let activeTabId = null;
+
+// Send a message to the content script in the active tab; resolves with its
+// status, or null if there is no content script (not a Biketerra page)
+async function sendToTab(message) {
+  if (activeTabId === null) return null;
+  try {
+    return (await BTExt.tabs.sendMessage(activeTabId, message)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function renderStatus(status) {
+  document.getElementById('notBiketerra').hidden = status !== null;
+  document.getElementById('tabControls').hidden = status === null;
+  if (!status) return;
+
+  let source = '–';
+  if (status.source) {
+    source = SOURCE_LABELS[status.source] || status.source;
+  } else if (status.loading) {
+    source = 'Loading…';
+  }
+  let direction = status.direction || '–';
+  if (status.totalDistance) {
+    direction += ` · ${(status.totalDistance / 1000).toFixed(1)} km`;
+  }
+  if (status.laps > 1) {
+    direction += ` · ${Number(status.laps.toFixed(2))} laps`;
+  }
+
+  document.getElementById('routeId').textContent = status.routeId ? '#' + status.routeId : '–';
+  document.getElementById('routeName').textContent = status.routeName || '–';
+  document.getElementById('routeName').title = status.routeName || '';
+  document.getElementById('source').textContent = source;
+  document.getElementById('direction').textContent = direction;
+  document.getElementById('enabled').checked = status.enabled;
+  renderBandMode(status);
+  renderExportFormats(status);
+}
+
+// Band mode in effect (with the auto scale) and the route's override
+function renderBandMode(status) {
+  let text = status.bandMode === 'auto' ? 'Auto' : 'Fixed';
+  if (status.bandScale) {
+    text += ` · +${status.bandScale.up}% / −${status.bandScale.down}%`;
+  }
+  if (!status.bandOverride) text += ' (default)';
+  document.getElementById('bandScale').textContent = text;
+  const select = document.getElementById('bandMode');
+  select.value = status.bandOverride || '';
+  select.disabled = !status.routeId;
+}
+
+// Store the band mode override for the tab's route; content scripts pick it up
+// from storage
+async function applyBandMode() {
+  const status = await sendToTab({ type: 'getStatus' });
+  if (!status?.routeId) return;
+  const settings = BTGradientCore.migrateSettings(await BTExt.storage.sync.get());
+  const mode = document.getElementById('bandMode').value || null;
+  await BTExt.storage.sync.set({
+    routeBandModes: BTGradientCore.setRouteBandMode(settings.routeBandModes, status.routeId, mode),
+  });
+  // The tab rescales in the background; its scale shows next time
+  renderBandMode({
+    routeId: status.routeId,
+    bandMode: mode || settings.bandMode,
+    bandOverride: mode,
+    bandScale: null,
+  });
+}
+
+// Export formats for the route; GPX and TCX need coordinates in the route data
+function renderExportFormats(status) {
+  const select = document.getElementById('exportFormat');
+  const selected = select.value;
+  select.innerHTML = '';
+  for (const [format, spec] of Object.entries(BTGradientCore.ROUTE_EXPORT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = format;
+    option.textContent = spec.label;
+    option.disabled = spec.needsCoordinates && !status.hasCoordinates;
+    select.appendChild(option);
+  }
+  if (selected && !select.querySelector(`option[value="${selected}"]:disabled`)) {
+    select.value = selected;
+  }
+  select.disabled = !status.canExport;
+  document.getElementById('export').disabled = !status.canExport;
+}
+
+// Ask the content script to download the route in the chosen format
+async function exportRoute() {
+  const result = await sendToTab({
+    type: 'export',
+    format: document.getElementById('exportFormat').value,
+  });
+  const statusLine = document.getElementById('exportStatus');
+  statusLine.hidden = false;
+  if (!result) {
+    statusLine.textContent = 'Could not reach the page';
+  } else if (result.error) {
+    statusLine.textContent = result.error;
+  } else {
+    statusLine.textContent = 'Saved ' + result.filename;
+  }
+}
+
+// Palette picker: saved palettes first, then the built-in ones
+function renderPaletteSelect(settings) {
+  const select = document.getElementById('paletteSelect');
+  BTPaletteSelect.render(select, settings.palettes, settings.activePalette);
+}
+
+// Make the chosen palette the active one; content scripts pick it up from storage
+async function applyPalette() {
+  const key = document.getElementById('paletteSelect').value;
+  const settings = BTGradientCore.migrateSettings(await BTExt.storage.sync.get());
+  const palette = BTGradientCore.findPalette(settings.palettes, key);
+  if (!palette) return;
+  await BTExt.storage.sync.set(BTGradientCore.paletteSettingsUpdate(palette, key, settings));
+}
+
+async function loadPalettes() {
+  renderPaletteSelect(BTGradientCore.migrateSettings(await BTExt.storage.sync.get()));
+}
+
+async function loadTabStatus() {
+  const tabs = await BTExt.tabs.query({ active: true, currentWindow: true });
+  activeTabId = tabs[0]?.id ?? null;
+  renderStatus(await sendToTab({ type: 'getStatus' }));
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', function () {
+  loadPalettes();
+  loadTabStatus();
+});
+
+document.getElementById('enabled').addEventListener('change', function (e) {
+  sendToTab({ type: 'setEnabled', enabled: e.target.checked }).then(renderStatus);
+});
+document.getElementById('reprocess').addEventListener('click', function () {
+  sendToTab({ type: 'reprocess' }).then(renderStatus);
+});
+document.getElementById('bandMode').addEventListener('change', applyBandMode);
+document.getElementById('export').addEventListener('click', exportRoute);
+document.getElementById('paletteSelect').addEventListener('change', applyPalette);
+document.getElementById('openOptions').addEventListener('click', function (e) {
+  e.preventDefault();
+  BTExt.runtime.openOptionsPage();
+});
@@ -0,0 +1,72 @@
+// Biketerra Gradient Colors - Route processing tasks
+// The heavy route work (parsing route data, aligning the profile with the
+// route, sampling gradients) as tasks on plain data and typed arrays. The
+// content script runs them in a Web Worker built from this file and
+// gradient-core.js, or calls them directly when the page does not allow the
+// worker. Exposed as globalThis.BTProfileTasks.
+
+(function () {
+  'use strict';
+
+  const {
+    extractRouteData,
+    alignRide,
+    ridePoints,
+    gradientGrid,
+    packRoutePoints,
+    unpackRoutePoints,
+  } = BTGradientCore;
+
+  // Typed array buffers in packed route points, handed over without copying
+  function columnBuffers(packed) {
+    return Object.values(packed.columns).map(column => column.buffer);
+  }
+
+  // Parse a ride/__data.json response body into route data with packed points
+  // (null if it has no usable route points)
+  function extract({ buffer }) {
+    const data = JSON.parse(new TextDecoder().decode(buffer));
+    const routeData = extractRouteData(data);
+    if (!routeData) return { result: null };
+    const { routePoints, ...rest } = routeData;
+    const packed = packRoutePoints(routePoints);
+    return { result: { ...rest, packed }, transfer: columnBuffers(packed) };
+  }
+
+  // Direction, laps and stretch of the ride a profile line shows
+  function align({ svgPoints, route, lapDistance, riderDistance, previous }) {
+    const routePoints = unpackRoutePoints(route);
+    return { result: alignRide(svgPoints, routePoints, lapDistance, { riderDistance, previous }) };
+  }
+
+  // Smoothed gradient along the ride (riding direction, all laps) on a grid
+  function gradients({ route, lapDistance, isReversed, laps, smoothing }) {
+    const points = ridePoints(unpackRoutePoints(route), lapDistance, isReversed, laps);
+    const grid = gradientGrid(points, lapDistance * laps, smoothing);
+    return { result: grid, transfer: [grid.grades.buffer] };
+  }
+
+  const TASKS = { extract, align, gradients };
+
+  // Run a task: { result, transfer } (transfer lists buffers in the result)
+  function run(type, payload) {
+    if (!TASKS[type]) throw new Error(`Unknown task: ${type}`);
+    return TASKS[type](payload);
+  }
+
+  // In a worker, answer { id, type, payload } messages with { id, result } or
+  // { id, error }
+  if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = function (e) {
+      const { id, type, payload } = e.data;
+      try {
+        const { result, transfer = [] } = run(type, payload);
+        self.postMessage({ id, result }, transfer);
+      } catch (err) {
+        self.postMessage({ id, error: err.message });
+      }
+    };
+  }
+
+  globalThis.BTProfileTasks = { run };
+})();
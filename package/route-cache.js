@@ -0,0 +1,128 @@
+// Biketerra Gradient Colors - Route cache
+// Keeps extracted route profiles in extension local storage so revisited routes
+// color instantly and still work while the data endpoint is slow or failing.
+// Shared by the content script and the options page as globalThis.BTRouteCache.
+
+(function () {
+  'use strict';
+
+  const KEY_PREFIX = 'routeCache:';
+  const INDEX_KEY = 'routeCacheIndex';
+
+  // Bumped when extracted route data gains fields; older entries are refetched
+  const FORMAT_VERSION = 3;
+
+  // Size limits; least recently used routes are evicted first
+  const MAX_ENTRIES = 50;
+  const MAX_BYTES = 4 * 1024 * 1024;
+
+  // Entries younger than FRESH_AGE are used without refetching; older ones are
+  // used immediately but refreshed in the background. Entries past MAX_AGE are
+  // only used when fetching fails.
+  const FRESH_AGE = 24 * 60 * 60 * 1000;
+  const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+  const { get: storageGet, set: storageSet, remove: storageRemove } = BTExt.storage.local;
+
+  async function getIndex() {
+    const stored = await storageGet(INDEX_KEY);
+    return stored[INDEX_KEY] || {};
+  }
+
+  // Decimal places kept per point field: centimeters for distances and
+  // elevations, about a centimeter for lat/lng
+  const FIELD_PRECISION = { lat: 7, lng: 7 };
+
+  // Store route points column-wise ({ distance: [...], elevation: [...] }),
+  // rounded, which is far smaller than an array of objects
+  function encodeRouteData(routeData) {
+    const { routePoints, ...rest } = routeData;
+    const columns = {};
+    for (const key of Object.keys(routePoints[0] || {})) {
+      const scale = 10 ** (FIELD_PRECISION[key] ?? 2);
+      columns[key] = routePoints.map(p => Math.round(p[key] * scale) / scale);
+    }
+    return { ...rest, columns, length: routePoints.length };
+  }
+
+  function decodeRouteData(encoded) {
+    const { columns, length, ...rest } = encoded;
+    const keys = Object.keys(columns);
+    const routePoints = new Array(length);
+    for (let i = 0; i < length; i++) {
+      const point = {};
+      for (const key of keys) point[key] = columns[key][i];
+      routePoints[i] = point;
+    }
+    return { ...rest, routePoints };
+  }
+
+  // Cached route data for a route, or null. The result says whether the entry
+  // should be refreshed (stale) or only used as a fallback (expired).
+  async function get(routeId) {
+    const key = KEY_PREFIX + routeId;
+    const stored = await storageGet([key, INDEX_KEY]);
+    const entry = stored[key];
+    if (!entry || entry.format !== FORMAT_VERSION) return null;
+
+    // Record the access for LRU eviction
+    const index = stored[INDEX_KEY] || {};
+    if (index[routeId]) {
+      index[routeId].lastUsed = Date.now();
+      storageSet({ [INDEX_KEY]: index }).catch(() => {});
+    }
+
+    const age = Date.now() - entry.fetchedAt;
+    return {
+      routeData: decodeRouteData(entry.data),
+      fetchedAt: entry.fetchedAt,
+      stale: age > FRESH_AGE,
+      expired: age > MAX_AGE,
+    };
+  }
+
+  // Store route data, evicting least recently used routes to stay within limits
+  async function put(routeId, routeData) {
+    const data = encodeRouteData(routeData);
+    const size = JSON.stringify(data).length;
+    if (size > MAX_BYTES) return;
+
+    const index = await getIndex();
+    const now = Date.now();
+    index[routeId] = { fetchedAt: now, lastUsed: now, size };
+
+    const evicted = [];
+    const byAge = Object.keys(index).sort((a, b) => index[a].lastUsed - index[b].lastUsed);
+    let total = byAge.reduce((sum, id) => sum + index[id].size, 0);
+    while (byAge.length > MAX_ENTRIES || total > MAX_BYTES) {
+      const id = byAge.shift();
+      total -= index[id].size;
+      delete index[id];
+      evicted.push(KEY_PREFIX + id);
+    }
+
+    if (evicted.length > 0) await storageRemove(evicted);
+    await storageSet({
+      [KEY_PREFIX + routeId]: { format: FORMAT_VERSION, fetchedAt: now, data },
+      [INDEX_KEY]: index,
+    });
+  }
+
+  // Number of cached routes and their approximate size in bytes
+  async function usage() {
+    const index = await getIndex();
+    const ids = Object.keys(index);
+    return {
+      entries: ids.length,
+      bytes: ids.reduce((sum, id) => sum + index[id].size, 0),
+      maxBytes: MAX_BYTES,
+    };
+  }
+
+  async function clear() {
+    const all = await storageGet(null);
+    await storageRemove(Object.keys(all).filter(k => k === INDEX_KEY || k.startsWith(KEY_PREFIX)));
+  }
+
+  globalThis.BTRouteCache = { get, put, usage, clear };
+})();
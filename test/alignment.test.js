@@ -0,0 +1,122 @@
+// Matching the elevation panel's profile line to the route: direction and, in
+// local zoom, the window shown (test/fixtures/hilly-route.json)
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { loadRoute, profileLine } from './helpers.js';
+
+const {
+  alignRide,
+  alignProfileWindow,
+  detectRouteDirection,
+  reverseRoutePoints,
+  tileRoutePoints,
+  detectLapCount,
+  ridePoints,
+} = globalThis.BTGradientCore;
+
+const { routePoints, totalDistance } = loadRoute('hilly-route.json');
+const reversed = reverseRoutePoints(routePoints, totalDistance);
+
+// Within 1% of the route length
+const assertNear = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < totalDistance / 100, `${actual} is not near ${expected}`);
+
+test('detectRouteDirection tells the two directions apart', () => {
+  const forward = profileLine(routePoints, 0, totalDistance);
+  const backward = profileLine(reversed, 0, totalDistance);
+  assert.equal(detectRouteDirection(forward, routePoints, totalDistance), 'forward');
+  assert.equal(detectRouteDirection(backward, routePoints, totalDistance), 'reverse');
+});
+
+test('alignRide matches the whole route in either direction', () => {
+  const forward = alignRide(profileLine(routePoints, 0, totalDistance), routePoints, totalDistance);
+  assert.deepEqual(
+    [forward.isReversed, forward.laps, forward.start, forward.span],
+    [false, 1, 0, totalDistance]
+  );
+
+  const backward = alignRide(profileLine(reversed, 0, totalDistance), routePoints, totalDistance);
+  assert.deepEqual(
+    [backward.isReversed, backward.laps, backward.start, backward.span],
+    [true, 1, 0, totalDistance]
+  );
+});
+
+test('alignRide finds the local zoom window around the rider', () => {
+  const line = profileLine(routePoints, 4000, 6500);
+  const match = alignRide(line, routePoints, totalDistance, { riderDistance: 5200 });
+  assert.equal(match.isReversed, false);
+  assertNear(match.start, 4000);
+  assertNear(match.span, 2500);
+  assert.ok(match.score > 0.99);
+});
+
+test('alignRide follows a scrolling window from the previous match', () => {
+  const first = alignRide(profileLine(routePoints, 4000, 6500), routePoints, totalDistance, {
+    riderDistance: 5200,
+  });
+  const next = alignRide(profileLine(routePoints, 4200, 6700), routePoints, totalDistance, {
+    riderDistance: 5400,
+    previous: first,
+  });
+  assertNear(next.start, 4200);
+  assertNear(next.span, 2500);
+});
+
+test('alignRide finds a window on the reversed route', () => {
+  // 1000-4200 m of the reversed route: over the 10% climb (ridden downhill),
+  // across the flat and onto the 8% descent (ridden uphill)
+  const line = profileLine(reversed, 1000, 4200);
+  const match = alignRide(line, routePoints, totalDistance, { riderDistance: 2000 });
+  assert.equal(match.isReversed, true);
+  assertNear(match.start, 1000);
+  assertNear(match.span, 3200);
+});
+
+test('alignProfileWindow gives up on a flat line', () => {
+  const flat = Array.from({ length: 50 }, (_, i) => ({ x: i / 49, y: 0.5 }));
+  assert.equal(alignProfileWindow(flat, routePoints, totalDistance), null);
+});
+
+// Lap races: the profile line shows the route several times over
+
+test('detectLapCount counts whole laps', () => {
+  const tiled = tileRoutePoints(routePoints, totalDistance, 3);
+  const line = profileLine(tiled, 0, 3 * totalDistance, 600);
+  assert.equal(detectLapCount(line, routePoints, totalDistance).laps, 3);
+});
+
+test('detectLapCount keeps a partial last lap', () => {
+  const tiled = tileRoutePoints(routePoints, totalDistance, 2.5);
+  const line = profileLine(tiled, 0, 2.5 * totalDistance, 600);
+  const { laps } = detectLapCount(line, routePoints, totalDistance);
+  assert.ok(Math.abs(laps - 2.5) < 0.02, `${laps} laps`);
+});
+
+test('detectLapCount returns null for a single lap', () => {
+  const line = profileLine(routePoints, 0, totalDistance);
+  assert.equal(detectLapCount(line, routePoints, totalDistance), null);
+});
+
+test('alignRide detects laps of the reversed route', () => {
+  const tiled = tileRoutePoints(reversed, totalDistance, 2);
+  const match = alignRide(
+    profileLine(tiled, 0, 2 * totalDistance, 600),
+    routePoints,
+    totalDistance
+  );
+  assert.deepEqual(
+    [match.isReversed, match.laps, match.start, match.span],
+    [true, 2, 0, 2 * totalDistance]
+  );
+});
+
+test('ridePoints repeats the route in riding direction', () => {
+  const points = ridePoints(routePoints, totalDistance, true, 2);
+  assert.equal(points[points.length - 1].distance, 2 * totalDistance);
+  // Reversed laps run from the route's finish back to its start
+  const lapEnd = points.find(p => p.distance === totalDistance);
+  assert.equal(points[0].elevation, routePoints[routePoints.length - 1].elevation);
+  assert.equal(lapEnd.elevation, routePoints[0].elevation);
+});
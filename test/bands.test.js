@@ -0,0 +1,88 @@
+// Auto color bands: stops rescaled to each route's grades
+// (test/fixtures/hilly-route.json and route-data.json)
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { loadRoute } from './helpers.js';
+
+const {
+  DEFAULT_SETTINGS,
+  gradientGrid,
+  autoScaleColorStops,
+  migrateSettings,
+  routeBandOverride,
+  routeBandMode,
+  setRouteBandMode,
+} = globalThis.BTGradientCore;
+
+const routeGrades = name => {
+  const { routePoints, totalDistance } = loadRoute(name);
+  return gradientGrid(routePoints, totalDistance).grades;
+};
+const grades = stops => stops.map(s => s.grade);
+
+test('autoScaleColorStops fits the stops to the hilly route', () => {
+  const scaled = autoScaleColorStops(DEFAULT_SETTINGS.colorStops, routeGrades('hilly-route.json'));
+  assert.deepEqual([scaled.up, scaled.down], [10, 10]);
+  assert.deepEqual(grades(scaled.colorStops), [-10, -6.7, -3.3, 0, 3.3, 6.7, 10]);
+  assert.deepEqual(
+    scaled.colorStops.map(s => s.color),
+    DEFAULT_SETTINGS.colorStops.map(s => s.color)
+  );
+});
+
+test('autoScaleColorStops scales each side on its own', () => {
+  // Mostly climbing, with a short, gentle run down at the end
+  const scaled = autoScaleColorStops(DEFAULT_SETTINGS.colorStops, routeGrades('route-data.json'));
+  assert.deepEqual([scaled.up, scaled.down], [4.7, 1.9]);
+});
+
+test('autoScaleColorStops leaves a flat route alone', () => {
+  const scaled = autoScaleColorStops(DEFAULT_SETTINGS.colorStops, new Float32Array(100));
+  assert.deepEqual(scaled.colorStops, DEFAULT_SETTINGS.colorStops);
+  assert.deepEqual([scaled.up, scaled.down], [21, 21]);
+});
+
+test('autoScaleColorStops keeps a minimum range on near-flat routes', () => {
+  const gentle = Float32Array.from({ length: 100 }, (_, i) => (i % 2 ? 0.2 : -0.2));
+  const scaled = autoScaleColorStops(DEFAULT_SETTINGS.colorStops, gentle);
+  assert.deepEqual([scaled.up, scaled.down], [1, 1]);
+});
+
+test('routeBandMode prefers the route override', () => {
+  const settings = { ...DEFAULT_SETTINGS, bandMode: 'fixed', routeBandModes: [['1234', 'auto']] };
+  assert.equal(routeBandOverride(settings, '1234'), 'auto');
+  assert.equal(routeBandOverride(settings, '99'), null);
+  assert.equal(routeBandMode(settings, '1234'), 'auto');
+  assert.equal(routeBandMode(settings, '99'), 'fixed');
+});
+
+test('setRouteBandMode sets, clears and caps the overrides', () => {
+  assert.deepEqual(setRouteBandMode([], '1', 'auto'), [['1', 'auto']]);
+  assert.deepEqual(
+    setRouteBandMode(
+      [
+        ['1', 'auto'],
+        ['2', 'fixed'],
+      ],
+      '1',
+      null
+    ),
+    [['2', 'fixed']]
+  );
+
+  // Route IDs are numeric, so set them newest-lowest to catch ordering by ID
+  let overrides = [];
+  for (let id = 105; id >= 1; id--) overrides = setRouteBandMode(overrides, String(id), 'auto');
+  assert.equal(overrides.length, 100);
+  // The oldest are dropped first; setting one again makes it the newest
+  assert.equal(overrides[0][0], '100');
+  overrides = setRouteBandMode(overrides, '100', 'fixed');
+  assert.deepEqual(overrides.at(-1), ['100', 'fixed']);
+  assert.equal(overrides.length, 100);
+});
+
+test('migrateSettings turns overrides keyed by route ID into pairs', () => {
+  const settings = migrateSettings({ schemaVersion: 4, routeBandModes: { 1234: 'auto' } });
+  assert.deepEqual(settings.routeBandModes, [['1234', 'auto']]);
+});
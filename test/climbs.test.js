@@ -0,0 +1,63 @@
+// Climb detection and categories, on a saved route with two climbs
+// (test/fixtures/hilly-route.json: a 6% climb after a small bump, then a 10% one)
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { loadRoute } from './helpers.js';
+
+const { detectClimbs, reverseRoutePoints } = globalThis.BTGradientCore;
+
+const { routePoints, totalDistance } = loadRoute('hilly-route.json');
+
+test('detectClimbs finds and categorizes both climbs', () => {
+  const climbs = detectClimbs(routePoints, totalDistance);
+  assert.deepEqual(
+    climbs.map(c => [c.startDistance, c.endDistance, Math.round(c.gain), c.category]),
+    [
+      // The 5 m bump before the first climb is within maxDip, so it joins it
+      [400, 3000, 120, 'Cat 4'],
+      [4500, 6100, 160, 'Cat 3'],
+    ]
+  );
+  const [first, second] = climbs;
+  assert.equal(first.avgGrade.toFixed(2), '4.62');
+  assert.equal(first.maxGrade.toFixed(1), '6.0');
+  assert.equal(second.avgGrade.toFixed(1), '10.0');
+  assert.equal(second.score.toFixed(0), '16000');
+});
+
+test('detectClimbs respects the minimum length and gain', () => {
+  const climbs = detectClimbs(routePoints, totalDistance, { minGain: 130 });
+  assert.deepEqual(
+    climbs.map(c => c.startDistance),
+    [4500]
+  );
+  assert.deepEqual(detectClimbs(routePoints, totalDistance, { minLength: 3000 }), []);
+});
+
+test('detectClimbs splits a climb at a dip deeper than maxDip', () => {
+  const climbs = detectClimbs(routePoints, totalDistance, { maxDip: 2, minGain: 100 });
+  assert.deepEqual(
+    climbs.map(c => [c.startDistance, c.endDistance]),
+    [
+      [1000, 3000],
+      [4500, 6100],
+    ]
+  );
+});
+
+test('detectClimbs on the reversed route finds the descents as climbs', () => {
+  const reversed = reverseRoutePoints(routePoints, totalDistance);
+  const climbs = detectClimbs(reversed, totalDistance);
+  assert.deepEqual(
+    climbs.map(c => [c.startDistance, c.endDistance, Math.round(c.gain)]),
+    [
+      [0, 1900, 190],
+      [4000, 5000, 80],
+    ]
+  );
+});
+
+test('detectClimbs returns no climbs for a route without points', () => {
+  assert.deepEqual(detectClimbs([], 0), []);
+});
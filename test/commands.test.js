@@ -0,0 +1,113 @@
+// Key combos, command bindings and their conflicts
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { readJsonFixture } from './helpers.js';
+
+const {
+  DEFAULT_SETTINGS,
+  OBSOLETE_SETTINGS,
+  migrateSettings,
+  needsMigration,
+  normalizeKeyCombo,
+  keyComboFromEvent,
+  commandForKeyCombo,
+  keyBindingConflicts,
+} = globalThis.BTGradientCore;
+
+// A keydown event with no modifiers unless given
+const keydown = (key, options = {}) => ({
+  key,
+  code: '',
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  metaKey: false,
+  ...options,
+});
+
+test('v3: toggleKey and summaryKey become key bindings', () => {
+  const stored = readJsonFixture('settings-v3.json');
+  assert.equal(needsMigration(stored), true);
+  const settings = migrateSettings(stored);
+  assert.deepEqual(settings.keyBindings, {
+    ...DEFAULT_SETTINGS.keyBindings,
+    toggleZoom: ['H'],
+    toggleSummary: ['?'],
+  });
+  for (const key of OBSOLETE_SETTINGS) assert.equal(key in settings, false);
+  assert.equal(settings.showTooltip, false);
+});
+
+test('v1 settings carry their toggle key through every migration', () => {
+  const settings = migrateSettings(readJsonFixture('settings-v1.json'));
+  assert.deepEqual(settings.keyBindings.toggleZoom, ['H']);
+  assert.deepEqual(settings.keyBindings.toggleSummary, DEFAULT_SETTINGS.keyBindings.toggleSummary);
+});
+
+test('commands added since the bindings were saved get their default keys', () => {
+  const settings = migrateSettings({
+    ...DEFAULT_SETTINGS,
+    keyBindings: { toggleZoom: ['Z'] },
+  });
+  assert.deepEqual(settings.keyBindings, { ...DEFAULT_SETTINGS.keyBindings, toggleZoom: ['Z'] });
+});
+
+test('normalizeKeyCombo', () => {
+  assert.equal(normalizeKeyCombo('g'), 'G');
+  assert.equal(normalizeKeyCombo('shift+ctrl+p'), 'Ctrl+Shift+P');
+  assert.equal(normalizeKeyCombo('Alt+Shift+Up'), 'Alt+Shift+ArrowUp');
+  assert.equal(normalizeKeyCombo('Command+Comma'), 'Meta+,');
+  assert.equal(normalizeKeyCombo('Hyper+G'), null);
+  assert.equal(normalizeKeyCombo(''), null);
+});
+
+test('keyComboFromEvent', () => {
+  assert.equal(keyComboFromEvent(keydown('g')), 'G');
+  assert.equal(keyComboFromEvent(keydown(' ')), 'Space');
+  assert.equal(keyComboFromEvent(keydown('Shift', { shiftKey: true })), null);
+  assert.equal(keyComboFromEvent(keydown('P', { altKey: true, shiftKey: true })), 'Alt+Shift+P');
+  // Alt+G types '©' on a Mac; the physical key is used instead
+  assert.equal(keyComboFromEvent(keydown('©', { altKey: true, code: 'KeyG' })), 'Alt+G');
+  assert.equal(keyComboFromEvent(keydown('?', { shiftKey: true, code: 'Slash' })), 'Shift+?');
+});
+
+test('commandForKeyCombo', () => {
+  const bindings = { ...DEFAULT_SETTINGS.keyBindings, toggleZoom: ['H'], toggleSummary: ['?'] };
+  assert.equal(commandForKeyCombo(bindings, 'H'), 'toggleZoom');
+  assert.equal(commandForKeyCombo(bindings, 'Ctrl+H'), null);
+  assert.equal(commandForKeyCombo(bindings, 'Q'), null);
+});
+
+test('commandForKeyCombo matches printable keys typed with Shift', () => {
+  const bindings = { ...DEFAULT_SETTINGS.keyBindings, toggleZoom: ['H'], toggleSummary: ['?'] };
+  assert.equal(commandForKeyCombo(bindings, 'Shift+H'), 'toggleZoom');
+  assert.equal(commandForKeyCombo(bindings, 'Shift+?'), 'toggleSummary');
+  assert.equal(commandForKeyCombo(bindings, 'Shift+ArrowUp'), null);
+  // An exact Shift binding wins
+  const shifted = { ...bindings, toggleLegend: ['Shift+H'] };
+  assert.equal(commandForKeyCombo(shifted, 'Shift+H'), 'toggleLegend');
+});
+
+test('keyBindingConflicts', () => {
+  const bindings = {
+    ...DEFAULT_SETTINGS.keyBindings,
+    toggleZoom: ['G'],
+    toggleLegend: ['G', 'Space'],
+    cyclePalette: ['Alt+Shift+P'],
+  };
+  const conflicts = keyBindingConflicts(bindings, {
+    toggleRecoloring: 'Alt+Shift+P',
+    cyclePalette: 'Alt+Shift+P',
+  });
+  assert.deepEqual(
+    conflicts.map(c => [c.command, c.combo, c.kind, c.detail]),
+    [
+      ['toggleZoom', 'G', 'duplicate', 'toggleLegend'],
+      ['cyclePalette', 'Alt+Shift+P', 'browser', 'toggleRecoloring'],
+      ['toggleLegend', 'G', 'duplicate', 'toggleZoom'],
+      ['toggleLegend', 'Space', 'game', 'game controls'],
+    ]
+  );
+  assert.deepEqual(keyBindingConflicts(DEFAULT_SETTINGS.keyBindings), []);
+});
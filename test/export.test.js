@@ -0,0 +1,69 @@
+// Route export rows and file formats, compared with saved exports of
+// test/fixtures/route-data.json
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { loadRoute, readFixture } from './helpers.js';
+
+const {
+  DEFAULT_SETTINGS,
+  createGradientSampler,
+  routeExportRows,
+  formatRouteExport,
+  ROUTE_EXPORT_FORMATS,
+} = globalThis.BTGradientCore;
+
+const { routePoints, totalDistance, name } = loadRoute('route-data.json');
+const gradientAt = createGradientSampler(routePoints, totalDistance);
+const rows = routeExportRows(routePoints, gradientAt, DEFAULT_SETTINGS);
+const startTime = new Date(Date.UTC(2024, 0, 1));
+
+test('routeExportRows gives each point its grade, color and coordinates', () => {
+  assert.equal(rows.length, routePoints.length);
+  assert.deepEqual(rows[1], {
+    distance: 100,
+    elevation: 103,
+    gradient: 3,
+    color: '#7cda3f',
+    lat: 45.50072,
+    lng: 6.10077,
+  });
+});
+
+test('routeExportRows adds predicted times when given', () => {
+  const timed = routeExportRows(routePoints, gradientAt, DEFAULT_SETTINGS, d => d / 10);
+  assert.deepEqual(
+    timed.map(row => row.time),
+    [0, 10, 20, 30, 40, 50]
+  );
+});
+
+for (const format of Object.keys(ROUTE_EXPORT_FORMATS)) {
+  test(`${format.toUpperCase()} export matches the saved file`, () => {
+    const text = formatRouteExport(format, rows, { name, startTime });
+    assert.equal(text, readFixture(`route-data.${ROUTE_EXPORT_FORMATS[format].extension}`));
+  });
+}
+
+test('names are escaped in XML exports', () => {
+  const gpx = formatRouteExport('gpx', rows, { name: 'Up & <Down>' });
+  assert.match(gpx, /<name>Up &amp; &lt;Down&gt;<\/name>/);
+});
+
+test('TCX uses predicted times when the rows have them', () => {
+  const timed = routeExportRows(routePoints, gradientAt, DEFAULT_SETTINGS, d => d / 5);
+  const tcx = formatRouteExport('tcx', timed, { name, startTime });
+  assert.match(tcx, /<TotalTimeSeconds>100<\/TotalTimeSeconds>/);
+  assert.match(tcx, /<Time>2024-01-01T00:01:40.000Z<\/Time>/);
+});
+
+test('formatRouteExport rejects what it cannot write', () => {
+  assert.throws(() => formatRouteExport('fit', rows), /Unknown export format/);
+  assert.throws(() => formatRouteExport('csv', []), /No route points/);
+  const withoutCoordinates = rows.map(({ lat: _lat, lng: _lng, ...row }) => row);
+  assert.throws(() => formatRouteExport('gpx', withoutCoordinates), /needs route coordinates/);
+  assert.match(
+    formatRouteExport('csv', withoutCoordinates),
+    /^distance_m,elevation_m,gradient_pct,color\n/
+  );
+});
@@ -0,0 +1,101 @@
+// Regression tests for the color math shared by the extension and the Node tools,
+// run against a small saved ride/__data.json (test/fixtures/route-data.json)
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import '../package/gradient-core.js';
+import { renderProfileSvg } from '../tools/profile-svg.js';
+
+const {
+  DEFAULT_SETTINGS,
+  extractRouteData,
+  computeGradientAtDistance,
+  createGradientSampler,
+  smoothingOptions,
+  gradientToColor,
+} = globalThis.BTGradientCore;
+
+const fixture = JSON.parse(
+  readFileSync(new URL('fixtures/route-data.json', import.meta.url), 'utf8')
+);
+
+test('extractRouteData reads route_processed distances and elevations', () => {
+  const routeData = extractRouteData(fixture);
+  assert.equal(routeData.source, 'route_processed');
+  assert.equal(routeData.name, 'Fixture Climb');
+  assert.equal(routeData.totalDistance, 500);
+  assert.equal(routeData.minElev, 100);
+  assert.equal(routeData.maxElev, 111);
+  assert.deepEqual(
+    routeData.routePoints.map(p => p.distance),
+    [0, 100, 200, 300, 400, 500]
+  );
+  assert.deepEqual(
+    routeData.routePoints.map(p => p.elevation),
+    [100, 103, 106, 111, 109, 109]
+  );
+});
+
+test('extractRouteData gives route_processed points simple_route coordinates', () => {
+  const [first, second] = extractRouteData(fixture).routePoints;
+  assert.deepEqual([first.lat, first.lng], [45.5, 6.1]);
+  assert.deepEqual([second.lat, second.lng], [45.50072, 6.10077]);
+});
+
+test('extractRouteData returns null without route_processed', () => {
+  assert.equal(extractRouteData({ nodes: [{ type: 'skip' }] }), null);
+});
+
+test('extractRouteData returns null for files that are not route data', () => {
+  assert.equal(extractRouteData({ bad: 1 }), null);
+  assert.equal(extractRouteData(null), null);
+});
+
+test('extractRouteData keeps route_processed when simple_route is malformed', () => {
+  const broken = structuredClone(fixture);
+  broken.nodes[1].data[4] = '[[45.5, 6.1';
+  const routeData = extractRouteData(broken);
+  assert.equal(routeData.routePoints.length, 6);
+  assert.equal(routeData.routePoints[0].lat, undefined);
+});
+
+test('gradients over the fixture', () => {
+  const { routePoints, totalDistance } = extractRouteData(fixture);
+  assert.equal(computeGradientAtDistance(routePoints, 150, totalDistance, 50), 3);
+  assert.equal(computeGradientAtDistance(routePoints, 250, totalDistance, 50), 5);
+
+  const sampler = createGradientSampler(
+    routePoints,
+    totalDistance,
+    smoothingOptions(DEFAULT_SETTINGS)
+  );
+  const grades = [50, 150, 250, 350, 450].map(d => Math.round(sampler(d) * 1000) / 1000);
+  assert.deepEqual(grades, [3, 3, 5, -2, 0]);
+});
+
+test('gradientToColor with the default stops', () => {
+  const color = grade => gradientToColor(grade, DEFAULT_SETTINGS);
+  // Stops and beyond them
+  assert.equal(color(-30), '#713071');
+  assert.equal(color(0), '#24ca26');
+  assert.equal(color(7), '#f1f060');
+  assert.equal(color(25), '#430102');
+  // Between stops
+  assert.equal(color(3), '#7cda3f');
+  assert.equal(color(5), '#b6e54f');
+  assert.equal(color(10), '#e78d40');
+});
+
+test('gradientToColor in OKLab', () => {
+  const settings = { ...DEFAULT_SETTINGS, interpolation: 'oklab' };
+  assert.equal(gradientToColor(3.5, settings), '#a0de45');
+  assert.equal(gradientToColor(10, settings), '#f1a140');
+});
+
+test('renderProfileSvg colors the profile by grade', () => {
+  const svg = renderProfileSvg(extractRouteData(fixture));
+  assert.match(svg, /^<svg /);
+  assert.match(svg, /stop-color="#7cda3f"/);
+  assert.match(svg, /stop-color="#b6e54f"/);
+});
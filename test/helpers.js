@@ -0,0 +1,35 @@
+// Shared by the tests: saved fixtures (test/fixtures/) and profile lines drawn
+// from them the way Biketerra draws its elevation panel
+
+import { readFileSync } from 'node:fs';
+import '../package/gradient-core.js';
+
+const { extractRouteData, interpolateElevation } = globalThis.BTGradientCore;
+
+export function readFixture(name) {
+  return readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+export function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+// Route data extracted from a saved ride/__data.json fixture
+export function loadRoute(name) {
+  return extractRouteData(readJsonFixture(name));
+}
+
+// The profile line for route points between two distances: x and y
+// normalized 0-1, y down, with a small margin above and below
+export function profileLine(routePoints, from, to, count = 300) {
+  const elevations = [];
+  for (let i = 0; i < count; i++) {
+    elevations.push(interpolateElevation(routePoints, from + (i / (count - 1)) * (to - from)));
+  }
+  const min = Math.min(...elevations);
+  const max = Math.max(...elevations);
+  return elevations.map((e, i) => ({
+    x: i / (count - 1),
+    y: 0.95 - ((e - min) / (max - min || 1)) * 0.9,
+  }));
+}
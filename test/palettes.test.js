@@ -0,0 +1,75 @@
+// Palette files and share codes (test/fixtures/palette.json, palette-code.txt)
+
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { test } from 'node:test';
+import { readFixture, readJsonFixture } from './helpers.js';
+
+const { validatePalette, encodePaletteCode, decodePaletteCode, findPalette, BUILTIN_PALETTES } =
+  globalThis.BTGradientCore;
+
+const ALPINE_CLUB = {
+  name: 'Alpine Club',
+  colorStops: [
+    { grade: -12, color: '#2166ac' },
+    { grade: 0, color: '#f7f7f7' },
+    { grade: 6, color: '#ef8a62' },
+    { grade: 12, color: '#b2182b' },
+  ],
+  interpolation: 'oklab',
+  toggleKey: 'z',
+};
+
+// A share code carrying a JSON payload, as encodePaletteCode builds them
+const codeFor = payload => 'BTGC-' + Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('validatePalette normalizes an exported palette file', () => {
+  assert.deepEqual(validatePalette(readJsonFixture('palette.json')), ALPINE_CLUB);
+});
+
+test('validatePalette rejects broken palettes', () => {
+  const palette = readJsonFixture('palette.json');
+  assert.throws(() => validatePalette({ ...palette, name: ' ' }), /no name/);
+  assert.throws(() => validatePalette({ ...palette, colorStops: [] }), /color stops/);
+  assert.throws(
+    () =>
+      validatePalette({
+        ...palette,
+        colorStops: [{ grade: 0, color: 'red' }, ...palette.colorStops],
+      }),
+    /Invalid color stop/
+  );
+  assert.throws(() => validatePalette({ ...palette, interpolation: 'hsv' }), /interpolation/);
+  assert.throws(() => validatePalette({ ...palette, toggleKey: 'zz' }), /toggle key/);
+});
+
+test('decodePaletteCode reads a saved share code', () => {
+  assert.deepEqual(decodePaletteCode(readFixture('palette-code.txt')), ALPINE_CLUB);
+});
+
+test('share codes round-trip', () => {
+  assert.deepEqual(decodePaletteCode(encodePaletteCode(ALPINE_CLUB)), ALPINE_CLUB);
+});
+
+test('decodePaletteCode rejects damaged codes', () => {
+  assert.throws(() => decodePaletteCode('hello'), /Not a palette share code/);
+  assert.throws(() => decodePaletteCode('BTGC-%%%'), /damaged/);
+  assert.throws(() => decodePaletteCode(readFixture('palette-code.txt').slice(0, 40)), /damaged/);
+  assert.throws(() => decodePaletteCode(codeFor(null)), /damaged/);
+  assert.throws(() => decodePaletteCode(codeFor(5)), /damaged/);
+  assert.throws(() => decodePaletteCode(codeFor({ v: 3, n: 'No stops' })), /no color stops/);
+});
+
+test('decodePaletteCode rejects codes from a newer version', () => {
+  const { SETTINGS_VERSION } = globalThis.BTGradientCore;
+  const code = codeFor({ v: SETTINGS_VERSION + 1, n: 'Future', s: [0, 'ffffff', 5, '000000'] });
+  assert.throws(() => decodePaletteCode(code), /newer version/);
+});
+
+test('findPalette looks up saved and built-in palettes', () => {
+  const palettes = [ALPINE_CLUB];
+  assert.equal(findPalette(palettes, 'custom:Alpine Club'), ALPINE_CLUB);
+  assert.equal(findPalette(palettes, 'custom:Missing'), null);
+  assert.equal(findPalette(palettes, 'builtin:' + BUILTIN_PALETTES[0].id), BUILTIN_PALETTES[0]);
+  assert.equal(findPalette(palettes, ''), null);
+});
@@ -0,0 +1,61 @@
+// Speed and time predictions from the rider profile, on the saved hilly route
+// (test/fixtures/hilly-route.json)
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { loadRoute } from './helpers.js';
+
+const { DEFAULT_SETTINGS, BIKE_PRESETS, riderPower, predictSpeed, createTimePredictor } =
+  globalThis.BTGradientCore;
+
+const model = {
+  mass: DEFAULT_SETTINGS.riderMass + DEFAULT_SETTINGS.bikeMass,
+  cda: DEFAULT_SETTINGS.cda,
+  crr: DEFAULT_SETTINGS.crr,
+};
+const kmh = speed => Math.round(speed * 3.6 * 10) / 10;
+
+test('riderPower from FTP or a target', () => {
+  assert.equal(riderPower(DEFAULT_SETTINGS), 187.5);
+  assert.equal(riderPower({ ...DEFAULT_SETTINGS, powerMode: 'watts', targetPower: 220 }), 220);
+});
+
+test('predictSpeed at the default rider profile', () => {
+  const power = riderPower(DEFAULT_SETTINGS);
+  assert.deepEqual(
+    [0, 5, 10].map(grade => kmh(predictSpeed(power, grade, model))),
+    [32.5, 13.6, 7.5]
+  );
+  // Thinner air at altitude helps on the flat
+  assert.ok(predictSpeed(power, 0, { ...model, elevation: 2000 }) > predictSpeed(power, 0, model));
+});
+
+test('predictSpeed is capped on steep descents', () => {
+  assert.equal(kmh(predictSpeed(400, -15, model)), 80);
+});
+
+test('a more aerodynamic position is faster on the flat', () => {
+  const tt = BIKE_PRESETS.find(p => p.id === 'tt');
+  const mtb = BIKE_PRESETS.find(p => p.id === 'mtb');
+  const speed = preset => predictSpeed(200, 0, { ...model, cda: preset.cda, crr: preset.crr });
+  assert.ok(speed(tt) > speed(mtb));
+});
+
+test('createTimePredictor times the hilly route', () => {
+  const { routePoints, totalDistance } = loadRoute('hilly-route.json');
+  const timeAt = createTimePredictor(routePoints, totalDistance, DEFAULT_SETTINGS);
+  assert.equal(timeAt(0), 0);
+  assert.equal(Math.round(timeAt(totalDistance)), 1667);
+  // Past the finish is the finish
+  assert.equal(timeAt(totalDistance + 500), timeAt(totalDistance));
+
+  // The 10% climb (4500-6100 m) takes far longer than the flat start
+  const climb = timeAt(6100) - timeAt(4500);
+  const flat = timeAt(400) - timeAt(0);
+  assert.ok(climb / 1600 > (3 * flat) / 400);
+
+  // Times only grow along the route
+  for (let d = 100; d <= totalDistance; d += 100) {
+    assert.ok(timeAt(d) > timeAt(d - 100));
+  }
+});
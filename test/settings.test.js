@@ -0,0 +1,83 @@
+// Stored settings migrations, from layouts saved by earlier versions
+// (test/fixtures/settings-v*.json)
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { readJsonFixture } from './helpers.js';
+
+const { DEFAULT_SETTINGS, SETTINGS_VERSION, migrateSettings, needsMigration } =
+  globalThis.BTGradientCore;
+
+test('v1: seven colors spaced `distance` apart become grade stops', () => {
+  const stored = readJsonFixture('settings-v1.json');
+  assert.equal(needsMigration(stored), true);
+  const settings = migrateSettings(stored);
+  assert.deepEqual(
+    settings.colorStops,
+    [
+      [-15, '#713071'],
+      [-10, '#0c4ae0'],
+      [-5, '#28eaed'],
+      [0, '#24ca26'],
+      [5, '#f1f060'],
+      [10, '#d90916'],
+      [15, '#430102'],
+    ].map(([grade, color]) => ({ grade, color }))
+  );
+  assert.equal('distance' in settings, false);
+  assert.equal(settings.schemaVersion, SETTINGS_VERSION);
+});
+
+test('v1 with the original 7% spacing gives the default stops', () => {
+  const stored = { colorStops: DEFAULT_SETTINGS.colorStops.map(s => s.color), distance: 7 };
+  assert.deepEqual(migrateSettings(stored).colorStops, DEFAULT_SETTINGS.colorStops);
+});
+
+test('nothing stored gives the defaults and needs no migration', () => {
+  assert.equal(needsMigration({}), false);
+  assert.deepEqual(migrateSettings({}), {
+    ...DEFAULT_SETTINGS,
+    schemaVersion: SETTINGS_VERSION,
+  });
+});
+
+test('migrated settings are stored in the current layout', () => {
+  const settings = migrateSettings(readJsonFixture('settings-v1.json'));
+  assert.equal(needsMigration(settings), false);
+  assert.deepEqual(migrateSettings(settings), settings);
+});
+
+test('color stops are sorted by grade', () => {
+  const colorStops = [
+    { grade: 10, color: '#FF0000' },
+    { grade: -10, color: '#0000ff' },
+    { grade: 0, color: '#00ff00' },
+  ];
+  const settings = migrateSettings({ schemaVersion: SETTINGS_VERSION, colorStops });
+  assert.deepEqual(
+    settings.colorStops.map(s => [s.grade, s.color]),
+    [
+      [-10, '#0000ff'],
+      [0, '#00ff00'],
+      [10, '#ff0000'],
+    ]
+  );
+});
+
+test('v2: customized stops are kept as a saved palette', () => {
+  const stored = readJsonFixture('settings-v2.json');
+  assert.equal(needsMigration(stored), true);
+  const settings = migrateSettings(stored);
+  assert.deepEqual(settings.palettes, [
+    { name: 'My palette', colorStops: stored.colorStops, interpolation: 'oklab' },
+  ]);
+  assert.equal(settings.activePalette, 'custom:My palette');
+  assert.deepEqual(settings.colorStops, stored.colorStops);
+  assert.equal(settings.showClimbs, false);
+});
+
+test('v2 with the default stops keeps the default palette', () => {
+  const settings = migrateSettings({ colorStops: DEFAULT_SETTINGS.colorStops });
+  assert.deepEqual(settings.palettes, []);
+  assert.equal(settings.activePalette, DEFAULT_SETTINGS.activePalette);
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Biketerra Gradient Colors - Profile rendering benchmark
+//
+// Usage: bench-render [route __data.json] [--polyline points] [--width px] [--runs n]
+//
+// Compares the old way of coloring the elevation profile (one stroked polygon
+// per polyline segment) with the single gradient-filled path the content
+// script now draws, on a long route: SVG nodes created and time to build them.
+// Without a route file a hilly 200 km route with a point every 5 m is used.
+// Both build markup strings rather than DOM nodes, so the times compare the
+// work done per rebuild, not browser layout.
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import '../package/gradient-core.js';
+
+const {
+  DEFAULT_SETTINGS,
+  extractRouteData,
+  interpolateElevation,
+  createGradientSampler,
+  smoothingOptions,
+  gradientToColor,
+  profileGradientStops,
+} = globalThis.BTGradientCore;
+
+const USAGE = 'Usage: bench-render [route __data.json] [--polyline points] [--width px] [--runs n]';
+
+function fail(message) {
+  console.error(`bench-render: ${message}`);
+  process.exit(1);
+}
+
+// Rolling hills with a few long climbs, in the shape extractRouteData returns
+function syntheticRoute(length = 200000, step = 5) {
+  const routePoints = [];
+  for (let d = 0; d <= length; d += step) {
+    const elevation =
+      300 +
+      200 * Math.sin(d / 9000) +
+      40 * Math.sin(d / 700) +
+      8 * Math.sin(d / 90) +
+      3 * Math.sin(d / 23);
+    routePoints.push({ distance: d, elevation });
+  }
+  return { totalDistance: length, routePoints, source: 'synthetic' };
+}
+
+// The profile line as Biketerra draws it: x and y normalized 0-1, y down
+function profilePolyline(routeData, count) {
+  const { routePoints, totalDistance } = routeData;
+  const elevations = [];
+  for (let i = 0; i < count; i++) {
+    elevations.push(interpolateElevation(routePoints, (i / (count - 1)) * totalDistance));
+  }
+  const min = elevations.reduce((a, b) => Math.min(a, b));
+  const max = elevations.reduce((a, b) => Math.max(a, b));
+  return elevations.map((e, i) => ({
+    x: i / (count - 1),
+    y: 0.95 - ((e - min) / (max - min || 1)) * 0.9,
+  }));
+}
+
+// Old rendering: a polygon per segment, colored at the segment's center
+function renderPolygons(points, colorAtX) {
+  const nodes = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const color = colorAtX((p1.x + p2.x) / 2);
+    nodes.push(
+      `<polygon points="${p1.x},1 ${p1.x},${p1.y} ${p2.x},${p2.y} ${p2.x},1" fill="${color}" ` +
+        `stroke="${color}" stroke-width="1.5" vector-effect="non-scaling-stroke"/>`
+    );
+  }
+  return { nodes: nodes.length, markup: nodes.join('') };
+}
+
+// New rendering: one path filled by a gradient with stops from the route data
+function renderGradientPath(points, colorAtX, breaks, width) {
+  const stops = profileGradientStops(breaks, colorAtX, width);
+  const stopMarkup = stops.map(s => `<stop offset="${s.offset}" stop-color="${s.color}"/>`);
+  const d = [`M${points[0].x},1`, ...points.map(p => `L${p.x},${p.y}`)];
+  d.push(`L${points[points.length - 1].x},1 Z`);
+  const markup =
+    '<defs><linearGradient id="gc-profile-gradient" gradientUnits="userSpaceOnUse" ' +
+    `x1="0" y1="0" x2="1" y2="0">${stopMarkup.join('')}</linearGradient></defs>` +
+    `<path d="${d.join(' ')}" fill="url(#gc-profile-gradient)"/>`;
+  // defs, linearGradient, the stops and the path
+  return { nodes: 3 + stops.length, markup };
+}
+
+// Median time (ms) of several runs, after one warm-up run
+function time(fn, runs) {
+  fn();
+  const times = [];
+  for (let i = 0; i < runs; i++) {
+    const start = performance.now();
+    fn();
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(runs / 2)];
+}
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      polyline: { type: 'string', default: '4000' },
+      width: { type: 'string', default: '1000' },
+      runs: { type: 'string', default: '20' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+} catch (e) {
+  fail(`${e.message}\n${USAGE}`);
+}
+
+const { values, positionals } = args;
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length > 1) {
+  fail(USAGE);
+}
+const polylinePoints = parseInt(values.polyline, 10);
+const width = parseInt(values.width, 10);
+const runs = parseInt(values.runs, 10);
+if (!(polylinePoints > 1 && width > 0 && runs > 0)) {
+  fail(`invalid option value\n${USAGE}`);
+}
+
+let routeData;
+if (positionals.length === 1) {
+  try {
+    routeData = extractRouteData(JSON.parse(readFileSync(positionals[0], 'utf8')));
+  } catch (e) {
+    fail(`cannot read ${positionals[0]}: ${e.message}`);
+  }
+  if (!routeData) fail(`no route point data found in ${positionals[0]}`);
+} else {
+  routeData = syntheticRoute();
+}
+
+const { routePoints, totalDistance } = routeData;
+const settings = DEFAULT_SETTINGS;
+const gradientAt = createGradientSampler(routePoints, totalDistance, smoothingOptions(settings));
+const colorAtX = x => gradientToColor(gradientAt(x * totalDistance), settings);
+const points = profilePolyline(routeData, polylinePoints);
+const breaks = routePoints.map(p => p.distance / totalDistance);
+
+console.log(
+  `Route: ${(totalDistance / 1000).toFixed(1)} km, ${routePoints.length} points ` +
+    `(${routeData.source}); polyline ${polylinePoints} points; profile ${width} px wide`
+);
+const results = [
+  ['Polygon per segment', () => renderPolygons(points, colorAtX)],
+  ['Gradient-filled path', () => renderGradientPath(points, colorAtX, breaks, width)],
+];
+for (const [name, render] of results) {
+  const { nodes, markup } = render();
+  const ms = time(render, runs);
+  console.log(
+    `${name.padEnd(22)} ${String(nodes).padStart(6)} nodes  ` +
+      `${(markup.length / 1024).toFixed(0).padStart(5)} KB  ${ms.toFixed(2).padStart(8)} ms`
+  );
+}
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// Biketerra Gradient Colors - Extension packager
+//
+// Usage: package-extension [-o output dir]
+//
+// Builds the store uploads from package/: a Chrome zip with manifest.json and
+// a Firefox XPI whose manifest is generated from it. Both hold the same files,
+// at the archive root. Written to dist/ unless another directory is given.
+
+import { Buffer } from 'node:buffer';
+import { mkdirSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { deflateRawSync } from 'node:zlib';
+
+const USAGE = 'Usage: package-extension [-o output dir]';
+const SOURCE_DIR = new URL('../package/', import.meta.url).pathname;
+
+// Firefox needs an add-on id, and runs the background script as an event page
+// (which has to load ext-api.js itself) instead of a service worker
+const GECKO_SETTINGS = {
+  gecko: {
+    id: 'biketerra-gradient-colors@jsmattsonjr',
+    strict_min_version: '115.0',
+  },
+};
+
+function firefoxManifest(manifest) {
+  return {
+    ...manifest,
+    browser_specific_settings: GECKO_SETTINGS,
+    background: { scripts: ['ext-api.js', manifest.background.service_worker] },
+  };
+}
+
+function fail(message) {
+  console.error(`package-extension: ${message}`);
+  process.exit(1);
+}
+
+// Files under dir as archive paths ('icons/icon16.png'), skipping dotfiles
+function listFiles(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(path));
+    } else {
+      files.push(relative(SOURCE_DIR, path).split(sep).join('/'));
+    }
+  }
+  return files.sort();
+}
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Every entry gets the same timestamp (2000-01-01 00:00, in DOS format), so
+// packaging the same sources twice gives identical archives
+const DOS_TIME = 0;
+const DOS_DATE = ((2000 - 1980) << 9) | (1 << 5) | 1;
+
+// A zip archive of { name, data } entries, deflated
+function createZip(entries) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data } of entries) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const compressed = deflateRawSync(data, { level: 9 });
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed (2.0)
+    local.writeUInt16LE(0x0800, 6); // flags: UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    parts.push(local, nameBytes, compressed);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0); // central directory header signature
+    header.writeUInt16LE(20, 4); // version made by
+    header.writeUInt16LE(20, 6); // version needed
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(DOS_TIME, 12);
+    header.writeUInt16LE(DOS_DATE, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(nameBytes.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, ...central, end]);
+}
+
+let args;
+try {
+  args = parseArgs({
+    options: {
+      output: { type: 'string', short: 'o', default: 'dist' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+} catch (e) {
+  fail(`${e.message}\n${USAGE}`);
+}
+if (args.values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const files = listFiles(SOURCE_DIR);
+const read = name => readFileSync(join(SOURCE_DIR, name));
+const manifest = JSON.parse(read('manifest.json'));
+const manifestData = m => Buffer.from(JSON.stringify(m, null, 2) + '\n');
+
+// Shared files, then each browser's manifest under the standard name
+const shared = files
+  .filter(name => name !== 'manifest.json')
+  .map(name => ({ name, data: read(name) }));
+const builds = [
+  ['chrome.zip', read('manifest.json')],
+  ['firefox.xpi', manifestData(firefoxManifest(manifest))],
+];
+
+const outDir = args.values.output;
+mkdirSync(outDir, { recursive: true });
+for (const [suffix, manifestFile] of builds) {
+  const path = join(outDir, `bt-gradient-colors-${manifest.version}-${suffix}`);
+  const entries = [{ name: 'manifest.json', data: manifestFile }, ...shared];
+  writeFileSync(path, createZip(entries));
+  console.error(`package-extension: wrote ${path} (${entries.length} files)`);
+}
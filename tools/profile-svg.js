@@ -0,0 +1,151 @@
+// Biketerra Gradient Colors - Headless profile renderer
+// Turns a saved ride/__data.json into a gradient-colored elevation profile SVG,
+// using the same color math as the extension (package/gradient-core.js).
+
+import '../package/gradient-core.js';
+
+const {
+  DEFAULT_SETTINGS,
+  migrateSettings,
+  extractRouteData,
+  interpolateElevation,
+  createGradientSampler,
+  smoothingOptions,
+  gradientGrid,
+  autoScaleColorStops,
+  gradientToColor,
+  profileGradientStops,
+  escapeXml,
+} = globalThis.BTGradientCore;
+
+export { DEFAULT_SETTINGS, extractRouteData };
+
+const DEFAULT_OPTIONS = {
+  width: 1000,
+  height: 300,
+  title: '',
+};
+
+const MARGIN = { top: 24, right: 16, bottom: 36, left: 56 };
+
+// Merge user settings (as stored by the options page, in any version) over the defaults
+export function resolveSettings(stored = {}) {
+  return migrateSettings(stored);
+}
+
+// Pick a "nice" tick step (1, 2 or 5 times a power of ten) for roughly `count` ticks
+function niceStep(range, count) {
+  const raw = range / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const residual = raw / magnitude;
+  if (residual > 5) return 10 * magnitude;
+  if (residual > 2) return 5 * magnitude;
+  if (residual > 1) return 2 * magnitude;
+  return magnitude;
+}
+
+// Round to a fixed number of decimals to keep the SVG compact
+function fmt(n) {
+  return Number(n.toFixed(2));
+}
+
+// Render route data to a complete SVG document string
+export function renderProfileSvg(routeData, settings = DEFAULT_SETTINGS, options = {}) {
+  const { width, height, title } = { ...DEFAULT_OPTIONS, ...options };
+  const { totalDistance, routePoints } = routeData;
+
+  const plotW = width - MARGIN.left - MARGIN.right;
+  const plotH = height - MARGIN.top - MARGIN.bottom;
+
+  // Elevation axis range, padded out to whole tick steps
+  const elevStep = niceStep(routeData.maxElev - routeData.minElev || 1, 4);
+  const elevMin = Math.floor(routeData.minElev / elevStep) * elevStep;
+  const elevMax = Math.ceil(routeData.maxElev / elevStep) * elevStep || elevMin + elevStep;
+
+  const xOf = distance => MARGIN.left + (distance / totalDistance) * plotW;
+  const yOf = elevation =>
+    MARGIN.top + plotH - ((elevation - elevMin) / (elevMax - elevMin)) * plotH;
+  const baseY = MARGIN.top + plotH;
+
+  const out = [];
+  out.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">`
+  );
+  out.push(`<rect width="${width}" height="${height}" fill="#1a1a1a"/>`);
+  if (title) {
+    out.push(
+      `<text x="${MARGIN.left}" y="16" fill="#e0e0e0" font-size="13">${escapeXml(title)}</text>`
+    );
+  }
+
+  // Axes and grid, drawn first so the profile sits on top
+  // Elevation axis (meters)
+  out.push('<g stroke="#444" fill="#aaa">');
+  for (let e = elevMin; e <= elevMax + elevStep / 2; e += elevStep) {
+    const y = fmt(yOf(e));
+    out.push(`<line x1="${MARGIN.left}" y1="${y}" x2="${MARGIN.left + plotW}" y2="${y}"/>`);
+    out.push(
+      `<text x="${MARGIN.left - 6}" y="${y}" stroke="none" text-anchor="end" ` +
+        `dominant-baseline="middle">${fmt(e)} m</text>`
+    );
+  }
+
+  // Distance axis (kilometers)
+  const distStep = niceStep(totalDistance / 1000, 8) * 1000;
+  for (let d = 0; d <= totalDistance; d += distStep) {
+    const x = fmt(xOf(d));
+    out.push(`<line x1="${x}" y1="${baseY}" x2="${x}" y2="${baseY + 4}"/>`);
+    out.push(
+      `<text x="${x}" y="${baseY + 16}" stroke="none" text-anchor="middle">` +
+        `${fmt(d / 1000)} km</text>`
+    );
+  }
+  out.push(
+    `<line x1="${MARGIN.left}" y1="${baseY}" x2="${MARGIN.left + plotW}" y2="${baseY}"/>`,
+    `<line x1="${MARGIN.left}" y1="${MARGIN.top}" x2="${MARGIN.left}" y2="${baseY}"/>`
+  );
+  out.push('</g>');
+
+  // The area under the profile as one path, painted by a horizontal gradient
+  // with a color per route data interval (at most one per pixel)
+  const gradientAt = createGradientSampler(routePoints, totalDistance, smoothingOptions(settings));
+  // Auto band mode: stops rescaled to this route's grades, as the extension does
+  let colorSettings = settings;
+  if (settings.bandMode === 'auto') {
+    const { grades } = gradientGrid(routePoints, totalDistance, smoothingOptions(settings));
+    colorSettings = {
+      ...settings,
+      colorStops: autoScaleColorStops(settings.colorStops, grades).colorStops,
+    };
+  }
+  const breaks = routePoints.map(p => p.distance / totalDistance);
+  const stops = profileGradientStops(
+    breaks,
+    x => gradientToColor(gradientAt(x * totalDistance), colorSettings),
+    Math.max(2, Math.round(plotW))
+  );
+  out.push(
+    `<defs><linearGradient id="profile-fill" gradientUnits="userSpaceOnUse" ` +
+      `x1="${MARGIN.left}" y1="0" x2="${MARGIN.left + plotW}" y2="0">`
+  );
+  for (const { offset, color } of stops) {
+    out.push(`<stop offset="${Number(offset.toFixed(5))}" stop-color="${color}"/>`);
+  }
+  out.push('</linearGradient></defs>');
+
+  const samples = Math.max(2, Math.round(plotW));
+  const outline = [];
+  for (let i = 0; i <= samples; i++) {
+    const d = (i / samples) * totalDistance;
+    outline.push(`${fmt(xOf(d))},${fmt(yOf(interpolateElevation(routePoints, d)))}`);
+  }
+  out.push(
+    `<path d="M${MARGIN.left},${baseY} L${outline.join(' L')} L${MARGIN.left + plotW},${baseY} Z" ` +
+      `fill="url(#profile-fill)"/>`
+  );
+  out.push(`<polyline points="${outline.join(' ')}" fill="none" stroke="#fffa" stroke-width="1"/>`);
+
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
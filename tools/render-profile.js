@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Biketerra Gradient Colors - Command-line profile renderer
+//
+// Usage: render-profile <route __data.json> [-s settings.json] [-o out.svg]
+//                       [--width px] [--height px] [--title text]
+//
+// Writes the SVG to stdout when no output file is given.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { extractRouteData, renderProfileSvg, resolveSettings } from './profile-svg.js';
+
+const USAGE =
+  'Usage: render-profile <route __data.json> [-s settings.json] [-o out.svg] ' +
+  '[--width px] [--height px] [--title text]';
+
+function fail(message) {
+  console.error(`render-profile: ${message}`);
+  process.exit(1);
+}
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    fail(`cannot read ${path}: ${e.message}`);
+  }
+}
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      settings: { type: 'string', short: 's' },
+      output: { type: 'string', short: 'o' },
+      width: { type: 'string' },
+      height: { type: 'string' },
+      title: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+} catch (e) {
+  fail(`${e.message}\n${USAGE}`);
+}
+
+const { values, positionals } = args;
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) {
+  fail(USAGE);
+}
+
+const routeData = extractRouteData(readJson(positionals[0]));
+if (!routeData) {
+  fail(`no route point data found in ${positionals[0]}`);
+}
+
+const settings = resolveSettings(values.settings ? readJson(values.settings) : {});
+const options = { title: values.title };
+for (const dim of ['width', 'height']) {
+  if (values[dim] !== undefined) {
+    options[dim] = parseInt(values[dim], 10);
+    if (!(options[dim] > 0)) fail(`invalid --${dim}: ${values[dim]}`);
+  }
+}
+
+const svg = renderProfileSvg(routeData, settings, options);
+if (values.output) {
+  writeFileSync(values.output, svg);
+  console.error(
+    `render-profile: wrote ${values.output} (${routeData.routePoints.length} points from ` +
+      `${routeData.source}, ${(routeData.totalDistance / 1000).toFixed(1)} km)`
+  );
+} else {
+  process.stdout.write(svg);
+}